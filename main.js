@@ -1,7 +1,10 @@
-const tcpProxy = require("node-tcp-proxy");
-const onvifServer = require("./src/onvif-server");
-const discoveryServer = require("./src/discovery-server");
+const adminServer = require("./src/admin-server");
+const cameraManager = require("./src/camera-manager");
 const configBuilder = require("./src/config-builder");
+const configValidator = require("./src/config-validator");
+const dashboardServer = require("./src/dashboard-server");
+const deviceDiscovery = require("./src/device-discovery");
+const networkBuilder = require("./src/network-builder");
 const package = require("./package.json");
 const argparse = require("argparse");
 const readline = require("readline");
@@ -31,6 +34,78 @@ parser.add_argument("-cc", "--create-config", {
   action: "store_true",
   help: "create a new config",
 });
+parser.add_argument("--discover", {
+  action: "store_true",
+  help: "create a config for Onvif devices found on the network",
+});
+parser.add_argument("--all", {
+  action: "store_true",
+  help: "use all devices found by --discover instead of asking",
+});
+parser.add_argument("--host", {
+  action: "append",
+  help: "[username:password@]hostname[:port] of a real Onvif device for --create-config, can be repeated or comma separated (env ONVIF_HOST)",
+});
+parser.add_argument("--username", {
+  help: "username of the real Onvif device (env ONVIF_USERNAME)",
+  default: process.env.ONVIF_USERNAME,
+});
+parser.add_argument("--password", {
+  help: "password of the real Onvif device (env ONVIF_PASSWORD)",
+  default: process.env.ONVIF_PASSWORD,
+});
+parser.add_argument("-o", "--output", {
+  help: "write the created config to this file instead of printing it",
+});
+parser.add_argument("--merge", {
+  action: "store_true",
+  help: "merge the created config into an existing --output file, keeping the MAC addresses, UUIDs and ports of known cameras",
+});
+parser.add_argument("--server-port", {
+  type: "int",
+  default: 8081,
+  help: "server port of the first created camera, counting up for the others (default: 8081)",
+});
+parser.add_argument("--rtsp-port", {
+  type: "int",
+  default: 8554,
+  help: "RTSP port of the created cameras (default: 8554)",
+});
+parser.add_argument("--snapshot-port", {
+  type: "int",
+  default: 8580,
+  help: "snapshot port of the created cameras (default: 8580)",
+});
+parser.add_argument("--target-rtsp-port", {
+  type: "int",
+  default: 554,
+  help: "RTSP port of the real Onvif device (default: 554)",
+});
+parser.add_argument("--mac-prefix", {
+  help: "assign the created cameras MAC addresses starting with this prefix, e.g. a2:a2:a2:a2:a2 (default with --network-output)",
+});
+parser.add_argument("--single-ip", {
+  help: "let all created cameras share this IP address, each with its own ports, instead of using MAC addresses",
+});
+parser.add_argument("--network-output", {
+  help: "also write the virtual network interfaces of the config's cameras to this file",
+});
+parser.add_argument("--network-format", {
+  choices: ["systemd", "script"],
+  default: "systemd",
+  help: "write the virtual network as onvif-virtual-network.service or as a shell script (default: systemd)",
+});
+parser.add_argument("--interface", {
+  default: "eth0",
+  help: "physical network interface of the virtual network (default: eth0)",
+});
+parser.add_argument("--static-ip", {
+  help: "assign the virtual network interfaces static IPs counting up from this address, e.g. 192.168.1.184/24",
+});
+parser.add_argument("-c", "--check-config", {
+  action: "store_true",
+  help: "validate the config and exit",
+});
 parser.add_argument("-d", "--debug", {
   action: "store_true",
   help: "show onvif requests",
@@ -59,154 +134,370 @@ if (args) {
     return;
   }
 
-  if (args.create_config) {
-    let mutableStdout = new stream.Writable({
-      write: function (chunk, encoding, callback) {
-        if (!this.muted || chunk.toString().includes("\n"))
-          process.stdout.write(chunk, encoding);
-        callback();
-      },
-    });
+  if (args.create_config || args.discover) {
+    if (args.mac_prefix && !configBuilder.isMacPrefix(args.mac_prefix)) {
+      logger.error(`Invalid MAC prefix ${args.mac_prefix}, expected one to five octets of a locally administered address like a2:a2:a2:a2:a2`);
+      process.exitCode = 1;
+      return;
+    }
+    if (args.single_ip && (args.mac_prefix || args.network_output)) {
+      logger.error("--single-ip can't be combined with --mac-prefix or --network-output");
+      process.exitCode = 1;
+      return;
+    }
+    if (!networkBuilder.isInterfaceName(args.interface)) {
+      logger.error(`Invalid network interface ${args.interface}`);
+      process.exitCode = 1;
+      return;
+    }
+    if (args.static_ip && !networkBuilder.isStaticIp(args.static_ip)) {
+      logger.error(`Invalid static IP ${args.static_ip}, expected an address with prefix length like 192.168.1.184/24`);
+      process.exitCode = 1;
+      return;
+    }
+    if (args.merge && !args.output) {
+      logger.error("--merge requires an --output file to merge into");
+      process.exitCode = 1;
+      return;
+    }
 
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: mutableStdout,
-      terminal: true,
-    });
+    // Asks the questions one after another, without echoing the answers to hidden ones
+    const ask = (questions) => {
+      let mutableStdout = new stream.Writable({
+        write: function (chunk, encoding, callback) {
+          if (!this.muted || chunk.toString().includes("\n"))
+            process.stdout.write(chunk, encoding);
+          callback();
+        },
+      });
 
-    mutableStdout.muted = false;
-    rl.question("Onvif Server: ", (hostname) => {
-      rl.question("Onvif Username: ", (username) => {
-        mutableStdout.muted = true;
-        process.stdout.write("Onvif Password: ");
-        rl.question("", (password) => {
-          console.log("Generating config ...");
-          configBuilder
-            .createConfig(hostname, username, password)
-            .then((config) => {
-              if (config) {
-                console.log(
-                  "# ==================== CONFIG START ===================="
-                );
-                console.log(yaml.stringify(config));
-                console.log(
-                  "# ===================== CONFIG END ====================="
-                );
-              } else console.log("Failed to create config!");
-            });
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: mutableStdout,
+        terminal: true,
+      });
+
+      let answers = [];
+      return questions
+        .reduce(
+          (previous, question) =>
+            previous.then(
+              () =>
+                new Promise((resolve) => {
+                  mutableStdout.muted = false;
+                  if (question.hidden) {
+                    process.stdout.write(question.text);
+                    mutableStdout.muted = true;
+                  }
+                  rl.question(question.hidden ? "" : question.text, (answer) => {
+                    answers.push(answer);
+                    resolve();
+                  });
+                })
+            ),
+          Promise.resolve()
+        )
+        .then(() => {
           rl.close();
+          return answers;
+        });
+    };
+
+    // The UUIDs of our own virtual devices, so discovery doesn't offer to proxy them
+    const getOwnUuids = () => {
+      let uuids = [];
+      for (let filename of [args.config, args.output]) {
+        if (!filename || !fs.existsSync(filename)) continue;
+        try {
+          let config = yaml.parse(fs.readFileSync(filename, "utf8"), { merge: true });
+          for (let camera of (config && config.onvif) || [])
+            if (camera && typeof camera.uuid === "string") uuids.push(camera.uuid);
+        } catch (error) {
+          console.error(`Failed to read the UUIDs of ${filename}: ${error.message}`);
+        }
+      }
+      return uuids;
+    };
+
+    const discoverHosts = () => {
+      console.error("Searching for Onvif devices ...");
+      return deviceDiscovery
+        .discoverDevices({ exclude: getOwnUuids() })
+        .then((devices) => {
+          if (devices.length == 0) throw "No Onvif devices found!";
+
+          console.error(`Found ${devices.length} Onvif device(s):`);
+          devices.forEach((device, index) => {
+            let description = [device.manufacturer, device.model].filter((value) => value).join(" ");
+            console.error(`  ${index + 1}) ${device.hostname}${description ? ` - ${description}` : ""} (${device.address})`);
+            console.error(`     XAddrs: ${device.xaddrs.join(" ")}`);
+            console.error(`     Scopes: ${device.scopes.join(" ")}`);
+          });
+
+          if (args.all) return devices.map((device) => device.hostname);
+          if (!process.stdin.isTTY)
+            throw "Please use --all to create a config for all devices found without asking!";
+
+          return ask([{ text: `Select a device (1-${devices.length} or all): ` }]).then(([answer]) => {
+            if (answer.trim().toLowerCase() == "all")
+              return devices.map((device) => device.hostname);
+            let device = devices[parseInt(answer) - 1];
+            if (!device) throw `Invalid selection ${answer}`;
+            return [device.hostname];
+          });
         });
+    };
+
+    // Hosts may carry their own credentials like admin:secret@192.168.1.10, as NVRs rarely share them
+    const parseHost = (value) => {
+      let at = value.lastIndexOf("@");
+      if (at < 0) return { hostname: value.trim() };
+      let userinfo = value.substring(0, at);
+      let colon = userinfo.indexOf(":");
+      return {
+        hostname: value.substring(at + 1).trim(),
+        username: colon < 0 ? userinfo : userinfo.substring(0, colon),
+        password: colon < 0 ? "" : userinfo.substring(colon + 1),
+      };
+    };
+
+    // Only asks for what wasn't given on the command line or in the environment
+    const getHosts = () => {
+      if (args.discover) return discoverHosts().then((hosts) => hosts.map(parseHost));
+      let hosts = (args.host || [process.env.ONVIF_HOST || ""]).join(",").split(",");
+      hosts = hosts.filter((host) => host.trim()).map(parseHost);
+      if (hosts.length > 0) return Promise.resolve(hosts);
+      if (!process.stdin.isTTY)
+        return Promise.reject("Please specify the Onvif device with --host or ONVIF_HOST!");
+      return ask([{ text: "Onvif Server: " }]).then((answers) => answers.map(parseHost));
+    };
+
+    const getCredentials = (hosts) => {
+      let questions = [];
+      if (process.stdin.isTTY && hosts.some((host) => host.username === undefined)) {
+        if (args.username === undefined) questions.push({ text: "Onvif Username: " });
+        if (args.password === undefined) questions.push({ text: "Onvif Password: ", hidden: true });
+      }
+      return ask(questions).then((answers) => ({
+        username: args.username !== undefined ? args.username : answers.shift() || "",
+        password: args.password !== undefined ? args.password : answers.shift() || "",
+      }));
+    };
+
+    const settings = {
+      serverPort: args.server_port,
+      rtspPort: args.rtsp_port,
+      snapshotPort: args.snapshot_port,
+      targetRtspPort: args.target_rtsp_port,
+      // The virtual network needs MAC addresses, so it defaults to the prefix of the example service
+      macPrefix: args.mac_prefix || (args.network_output ? "a2:a2:a2:a2:a2" : undefined),
+      hostname: args.single_ip,
+    };
+
+    // Each device's cameras are merged into the config, so their ports and MAC addresses don't collide
+    const createConfigs = async (hosts, credentials) => {
+      let merging = args.merge && fs.existsSync(args.output);
+      let result = {
+        source: merging ? fs.readFileSync(args.output, "utf8") : "",
+        added: 0,
+        updated: 0,
+      };
+      for (let host of hosts) {
+        console.error(`Generating config for ${host.hostname} ...`);
+        let config = await configBuilder.createConfig(
+          host.hostname,
+          host.username !== undefined ? host.username : credentials.username,
+          host.username !== undefined ? host.password : credentials.password,
+          settings
+        );
+        if (!config) throw `Failed to create config for ${host.hostname}!`;
+
+        let merged = configBuilder.mergeConfig(result.source, config, settings);
+        result.source = merged.source;
+        result.added += merged.added;
+        result.updated += merged.updated;
+      }
+      return result;
+    };
+
+    // Writes the MACVLAN interfaces matching the cameras of the whole config, including previously merged ones
+    const writeNetwork = (source) => {
+      let config = yaml.parse(source, { merge: true }) || {};
+      let options = { parent: args.interface, staticIp: args.static_ip };
+      let network =
+        args.network_format == "script"
+          ? networkBuilder.createShellScript(config, options)
+          : networkBuilder.createSystemdUnit(config, options);
+
+      let skipped = (config.onvif || []).length - network.interfaces.length;
+      if (skipped > 0)
+        console.error(`Skipped ${skipped} camera(s) without a MAC address in the virtual network.`);
+      fs.writeFileSync(args.network_output, network.source, {
+        mode: args.network_format == "script" ? 0o755 : 0o644,
+      });
+      console.error(
+        `Wrote virtual network with ${network.interfaces.length} interface(s) to ${args.network_output}.`
+      );
+    };
+
+    // Progress goes to stderr, so the config can be piped from stdout
+    getHosts()
+      .then((hosts) =>
+        getCredentials(hosts).then((credentials) => createConfigs(hosts, credentials))
+      )
+      .then((result) => {
+        if (args.network_output) writeNetwork(result.source);
+        if (!args.output) {
+          if (process.stdout.isTTY)
+            console.log(
+              "# ==================== CONFIG START ===================="
+            );
+          process.stdout.write(result.source);
+          if (process.stdout.isTTY)
+            console.log(
+              "# ===================== CONFIG END ====================="
+            );
+          return;
+        }
+
+        fs.writeFileSync(args.output, result.source);
+        if (args.merge)
+          console.error(
+            `Merged config into ${args.output}: ${result.added} camera(s) added, ${result.updated} updated.`
+          );
+        else
+          console.error(
+            `Wrote config with ${result.added} camera(s) to ${args.output}.`
+          );
+      })
+      .catch((error) => {
+        console.error(error.message || error);
+        process.exitCode = 1;
       });
-    });
   } else if (args.config) {
-    let configData;
-    try {
-      configData = fs.readFileSync(args.config, "utf8");
-    } catch (error) {
-      if (error.code === "ENOENT") {
-        logger.error("File not found: " + args.config);
-        return -1;
+    // Reads and validates the config, returning null (after logging why) if it can't be used
+    const loadConfig = () => {
+      let configData;
+      try {
+        configData = fs.readFileSync(args.config, "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          logger.error("File not found: " + args.config);
+          return null;
+        }
+        throw error;
       }
-      throw error;
-    }
 
-    let config;
-    try {
-      config = yaml.parse(configData);
-    } catch (error) {
-      logger.error("Failed to read config, invalid yaml syntax.");
-      return -1;
+      const validation = configValidator.validateConfig(configData);
+      if (validation.errors.length > 0) {
+        logger.error(`Invalid config ${args.config}:`);
+        for (let error of validation.errors)
+          logger.error("  " + configValidator.formatError(error));
+        return null;
+      }
+      return validation.config;
+    };
+
+    const config = loadConfig();
+    if (!config) {
+      process.exitCode = 1;
+      return;
     }
 
-    let proxies = [];
-    let servers = [];
-    const useDirectUrls = config.useDirectUrls || false;
+    if (args.check_config) {
+      logger.info(
+        `Config ${args.config} is valid (${config.onvif.length} camera(s)).`
+      );
+      return;
+    }
 
-    if (useDirectUrls) {
+    if (config.useDirectUrls) {
       logger.info("Direct URLs enabled - proxies will be bypassed");
       logger.info("");
     }
 
-    // Helper function to delay between camera startups
-    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    const manager = cameraManager.createCameraManager(logger, {
+      debug: args.debug,
+    });
 
-    (async () => {
-      for (let onvifConfig of config.onvif) {
-        let server = onvifServer.createServer(
-          onvifConfig,
-          logger,
-          useDirectUrls
-        );
-        if (server.getHostname()) {
-          logger.info(
-            `Starting virtual onvif server for ${onvifConfig.name} on ${
-              onvifConfig.mac
-            } ${server.getHostname()}:${onvifConfig.ports.server} ...`
-          );
-          server.startServer();
-          if (args.debug) server.enableDebugOutput();
-          logger.info("  Started!");
-          logger.info("");
-
-          servers.push(server);
-
-          // Add 2 second delay between camera startups to avoid concurrent WSDL fetching
-          await sleep(2000);
-
-          // Only set up proxies if not using direct URLs
-          if (!useDirectUrls) {
-            if (onvifConfig.ports.rtsp && onvifConfig.target.ports.rtsp)
-              proxies.push({
-                sourceHostname: server.getHostname(),
-                sourcePort: onvifConfig.ports.rtsp,
-                targetHostname: onvifConfig.target.hostname,
-                targetPort: onvifConfig.target.ports.rtsp,
-              });
-            if (onvifConfig.ports.snapshot && onvifConfig.target.ports.snapshot)
-              proxies.push({
-                sourceHostname: server.getHostname(),
-                sourcePort: onvifConfig.ports.snapshot,
-                targetHostname: onvifConfig.target.hostname,
-                targetPort: onvifConfig.target.ports.snapshot,
-              });
-          }
-        } else {
-          logger.error(
-            `Failed to find IP address for MAC address ${onvifConfig.mac}`
-          );
-          process.exit(-1);
-          return -1;
-        }
+    // The admin API and the dashboard are restarted when their settings change
+    const services = {
+      admin: {
+        create: (settings) => adminServer.createAdminServer(manager, logger, settings),
+      },
+      dashboard: {
+        create: (settings) =>
+          dashboardServer.createDashboardServer(manager, logger, Object.assign({ configFile: args.config }, settings)),
+      },
+    };
+    const updateServices = async (config) => {
+      for (let name in services) {
+        let service = services[name];
+        let settings = JSON.stringify(config[name] || null);
+        if (settings == service.settings) continue;
+        service.settings = settings;
+        if (service.server) await service.server.stop();
+        service.server = config[name] ? service.create(config[name]) : null;
+        if (service.server) service.server.start();
       }
+    };
 
-      // Start centralized discovery server for all virtual devices
-      if (servers.length > 0) {
-        logger.info("Starting WS-Discovery server for all virtual devices ...");
-        const discovery = discoveryServer.createDiscoveryServer(
-          servers,
-          logger
-        );
-        discovery.start();
-        logger.info("  Started!");
-        logger.info("");
-      }
+    // Reloads are queued so a config change never overlaps with a running one
+    let reloading = Promise.resolve();
+    let currentConfig = config;
+    const reloadConfig = () => {
+      reloading = reloading.then(async () => {
+        logger.info(`Reloading config ${args.config} ...`);
+        const newConfig = loadConfig();
+        if (!newConfig) {
+          logger.error("Keeping the current config running.");
+          return;
+        }
 
-      for (let proxy of proxies) {
+        let result;
+        try {
+          result = await manager.apply(newConfig);
+        } catch (error) {
+          // Cameras that were already stopped for the new config are started again with their previous settings
+          logger.error("Failed to apply the new config, keeping the previous cameras running:", error);
+          await manager.apply(currentConfig);
+          return;
+        }
+        currentConfig = newConfig;
+        await updateServices(newConfig);
         logger.info(
-          `Starting tcp proxy from ${proxy.sourceHostname}:${proxy.sourcePort} to ${proxy.targetHostname}:${proxy.targetPort} ...`
+          `Config reloaded: ${result.started.length} started, ${result.restarted.length} restarted, ${result.stopped.length} stopped, ${result.waiting.length} waiting for their network.`
         );
-        tcpProxy.createProxy(
-          proxy.sourcePort,
-          proxy.targetHostname,
-          proxy.targetPort,
-          {
-            hostname: proxy.sourceHostname,
-          }
+      }).catch((error) => logger.error("Failed to reload config:", error));
+    };
+
+    // Cameras whose network isn't up yet (e.g. DHCP at boot) are retried in the background. The services and the config
+    // watcher are started even if the cameras fail, so a fixed config can still be applied.
+    manager.apply(config).catch((error) => {
+      logger.error("Failed to start the cameras:", error);
+      return null;
+    }).then((result) => {
+      updateServices(config).catch((error) => logger.error("Failed to start the admin API or dashboard:", error));
+      if (result && result.waiting.length > 0)
+        logger.info(
+          `${result.waiting.length} camera(s) are waiting for their network and will be started once it is ready.`
         );
-        logger.info("  Started!");
-        logger.info("");
-      }
-    })();
+
+      fs.watchFile(args.config, { interval: 1000 }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) reloadConfig();
+      });
+      process.on("SIGHUP", reloadConfig);
+    });
+
+    // Say Bye to the network before exiting so NVRs notice the devices are gone
+    const shutdown = (signal) => {
+      logger.info(`Received ${signal}, shutting down ...`);
+      fs.unwatchFile(args.config);
+      let servers = Object.values(services).filter((service) => service.server);
+      Promise.all([manager.stop()].concat(servers.map((service) => service.server.stop()))).then(() => process.exit(0));
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
   } else {
     logger.error("Please specifiy a config filename!");
     return -1;
@@ -0,0 +1,114 @@
+const REFRESH_INTERVAL = 10000;
+
+async function request(method, path, body) {
+    let response = await fetch(path, {
+        method: method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    let result = await response.json();
+    if (!response.ok)
+        throw result;
+    return result;
+}
+
+function formatPorts(ports) {
+    return ['server', 'rtsp', 'snapshot']
+        .filter(name => ports[name])
+        .map(name => `${name} ${ports[name]}`)
+        .join(', ');
+}
+
+function createUrlField(label, value) {
+    let field = document.createElement('label');
+    let input = document.createElement('input');
+    input.readOnly = true;
+    input.value = value;
+    input.addEventListener('focus', () => input.select());
+    field.append(label, input);
+    return field;
+}
+
+function renderCamera(camera) {
+    let element = document.getElementById('camera-template').content.firstElementChild.cloneNode(true);
+    element.querySelector('.name').textContent = camera.name;
+    element.querySelector('.state').textContent = camera.state;
+    element.querySelector('.state').classList.add(camera.state);
+    element.querySelector('.hostname').textContent = camera.hostname || 'waiting for an address';
+    element.querySelector('.mac').textContent = camera.mac || '-';
+    element.querySelector('.ports').textContent = formatPorts(camera.ports);
+    element.querySelector('.target').textContent = camera.target.hostname;
+
+    let onvifUrl = element.querySelector('.onvif-url');
+    onvifUrl.value = camera.onvifUrl || '';
+    onvifUrl.addEventListener('focus', () => onvifUrl.select());
+
+    let streams = element.querySelector('.streams');
+    for (let stream of camera.streams)
+        streams.append(createUrlField(`${stream.name} (${stream.width}x${stream.height})`, stream.rtspUrl));
+
+    let snapshot = element.querySelector('.snapshot');
+    if (camera.state == 'running')
+        snapshot.src = `api/cameras/${encodeURIComponent(camera.uuid)}/snapshot?time=${Date.now()}`;
+    return element;
+}
+
+async function refreshCameras() {
+    try {
+        let cameras = await request('GET', 'api/cameras');
+        document.getElementById('cameras').replaceChildren(...cameras.map(renderCamera));
+        document.getElementById('cameras-empty').hidden = cameras.length > 0;
+        document.getElementById('updated').textContent = `Updated ${new Date().toLocaleTimeString()}`;
+    } catch (err) {
+        document.getElementById('updated').textContent = `Update failed: ${err.error || err.message}`;
+    }
+}
+
+function showErrors(errors) {
+    document.getElementById('preview-errors').replaceChildren(...(errors || []).map(error => {
+        let item = document.createElement('li');
+        item.textContent = error;
+        return item;
+    }));
+}
+
+function setStatus(text) {
+    document.getElementById('create-status').textContent = text;
+}
+
+document.getElementById('create-config').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    let form = event.target;
+    let button = form.querySelector('button');
+    button.disabled = true;
+    setStatus(`Reading the cameras of ${form.hostname.value} ...`);
+    try {
+        let result = await request('POST', 'api/create-config', Object.fromEntries(new FormData(form)));
+        document.getElementById('preview').hidden = false;
+        document.getElementById('preview-summary').textContent =
+            `${result.added} camera(s) added, ${result.updated} updated. Review the config and save it to apply it.`;
+        document.getElementById('preview-source').value = result.source;
+        showErrors(result.errors);
+        setStatus('');
+    } catch (err) {
+        setStatus(err.error || err.message);
+    } finally {
+        button.disabled = false;
+    }
+});
+
+document.getElementById('save-config').addEventListener('click', async () => {
+    try {
+        await request('POST', 'api/config', { source: document.getElementById('preview-source').value });
+        document.getElementById('preview').hidden = true;
+        showErrors([]);
+        setStatus('Saved, the cameras are restarted with the new config.');
+        setTimeout(refreshCameras, 3000);
+    } catch (err) {
+        showErrors(err.errors);
+        setStatus(err.error || err.message);
+    }
+});
+
+refreshCameras();
+setInterval(refreshCameras, REFRESH_INTERVAL);
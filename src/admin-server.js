@@ -0,0 +1,145 @@
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+
+const REDACTED = '********';
+
+// Returns a copy of the config without passwords, tokens of the admin API and credentials in URLs
+function redactConfig(value, key) {
+    if (Array.isArray(value))
+        return value.map(item => redactConfig(item));
+    if (value && typeof value === 'object') {
+        let result = {};
+        for (let name in value)
+            result[name] = redactConfig(value[name], name);
+        if (key == 'admin' && result.token)
+            result.token = REDACTED;
+        return result;
+    }
+    if (key == 'password' && value)
+        return REDACTED;
+    if (key == 'url' && typeof value === 'string' && /^[a-z][a-z0-9+.-]*:\/\/[^/]*:[^/]*@/i.test(value))
+        return value.replace(/^([a-z][a-z0-9+.-]*:\/\/[^/:]*:)[^/]*@/i, `$1${REDACTED}@`);
+    return value;
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// A small JSON API to inspect and control the running cameras, on its own port and protected with a bearer token
+class AdminServer {
+    constructor(manager, logger, options) {
+        this.manager = manager;
+        this.logger = logger;
+        this.options = options;
+        this.server = null;
+
+        this.routes = [
+            { method: 'GET', path: /^\/api\/cameras$/, handler: () => this.manager.getStatus() },
+            { method: 'GET', path: /^\/api\/cameras\/([^/]+)$/, handler: (id) => this.getCamera(id) },
+            { method: 'POST', path: /^\/api\/cameras\/([^/]+)\/enable$/, handler: (id) => this.setEnabled(id, true) },
+            { method: 'POST', path: /^\/api\/cameras\/([^/]+)\/disable$/, handler: (id) => this.setEnabled(id, false) },
+            { method: 'POST', path: /^\/api\/cameras\/([^/]+)\/restart-proxies$/, handler: (id) => this.restartProxies(id) },
+            { method: 'POST', path: /^\/api\/cameras\/([^/]+)\/hello$/, handler: (id) => this.sendHello(id) },
+            { method: 'POST', path: /^\/api\/hello$/, handler: () => this.sendHello() },
+            { method: 'GET', path: /^\/api\/config$/, handler: () => redactConfig(this.manager.getConfig()) }
+        ];
+    }
+
+    // Compares hashes, so the check takes the same time however much of the token matches
+    isAuthorized(request) {
+        let match = /^Bearer\s+(.+)$/i.exec(request.headers['authorization'] || '');
+        return !!match && crypto.timingSafeEqual(digest(match[1].trim()), digest(this.options.token));
+    }
+
+    getCamera(id) {
+        let camera = this.manager.getStatus().find(camera => camera.uuid == id);
+        if (!camera)
+            throw { statusCode: 404, message: `Unknown camera ${id}` };
+        return camera;
+    }
+
+    async setEnabled(id, enabled) {
+        if (!await this.manager.setEnabled(id, enabled))
+            throw { statusCode: 404, message: `Unknown camera ${id}` };
+        return this.getCamera(id);
+    }
+
+    async restartProxies(id) {
+        let camera = this.getCamera(id);
+        if (!await this.manager.restartProxies(id))
+            throw { statusCode: 409, message: `Camera ${camera.name} is ${camera.state}` };
+        return this.getCamera(id);
+    }
+
+    async sendHello(id) {
+        if (id)
+            this.getCamera(id);
+        return { sent: await this.manager.sendHello(id) };
+    }
+
+    sendJson(response, statusCode, body) {
+        response.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+        response.end(JSON.stringify(body, null, 2) + '\n');
+    }
+
+    async handleRequest(request, response) {
+        if (!this.isAuthorized(request)) {
+            response.setHeader('WWW-Authenticate', 'Bearer realm="onvif-server"');
+            return this.sendJson(response, 401, { error: 'Unauthorized' });
+        }
+
+        let path = url.parse(request.url).pathname.replace(/\/+$/, '');
+        let routes = this.routes.filter(route => route.path.test(path));
+        let route = routes.find(route => route.method == request.method);
+        if (!route) {
+            if (routes.length > 0) {
+                response.setHeader('Allow', routes.map(route => route.method).join(', '));
+                return this.sendJson(response, 405, { error: 'Method Not Allowed' });
+            }
+            return this.sendJson(response, 404, { error: 'Not Found' });
+        }
+
+        try {
+            let match = route.path.exec(path);
+            let result = await route.handler(...match.slice(1).map(decodeURIComponent));
+            this.sendJson(response, 200, result);
+        } catch (err) {
+            if (err.statusCode)
+                return this.sendJson(response, err.statusCode, { error: err.message });
+            this.logger.error('Admin API error:', err);
+            this.sendJson(response, 500, { error: 'Internal Server Error' });
+        }
+    }
+
+    start() {
+        let hostname = this.options.hostname || '127.0.0.1';
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        this.server.on('error', (err) => {
+            this.logger.error('Admin server error:', err);
+        });
+        this.server.listen(this.options.port, hostname);
+        this.logger.info(`Started admin API on ${hostname}:${this.options.port}`);
+    }
+
+    // Resolves once the port is free again
+    stop() {
+        if (!this.server)
+            return Promise.resolve();
+
+        let server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+    }
+}
+
+function createAdminServer(manager, logger, options) {
+    return new AdminServer(manager, logger, options);
+}
+
+exports.createAdminServer = createAdminServer;
+exports.redactConfig = redactConfig;
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const httpDigest = require('./http-digest');
+const soapEnvelope = require('./soap-envelope');
+
+// Maximum allowed difference between a token's Created timestamp and our clock
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Lifetime of the nonces we hand out in HTTP Digest challenges
+const DIGEST_NONCE_LIFETIME = 5 * 60 * 1000;
+
+const AUTHENTICATION_MODES = ['any', 'ws-security', 'digest'];
+
+function safeEqual(a, b) {
+    let bufferA = Buffer.from(a);
+    let bufferB = Buffer.from(b);
+    return bufferA.length == bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+class Authenticator {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.nonces = new Map(); // Nonce -> expiry time, used for replay protection
+        this.digestNonces = new Map(); // Issued digest nonce -> { expires, counts, used } with the nonce counts seen so far
+        this.realm = `ONVIF ${this.config.name}`;
+
+        this.mode = this.config.authentication || 'any';
+        if (!AUTHENTICATION_MODES.includes(this.mode)) {
+            this.logger.error(`Unknown authentication mode '${this.mode}' for ${this.config.name}, falling back to 'any'`);
+            this.mode = 'any';
+        }
+    }
+
+    isEnabled() {
+        return !!this.config.username;
+    }
+
+    allowsWsSecurity() {
+        return this.mode != 'digest';
+    }
+
+    allowsDigest() {
+        return this.mode != 'ws-security';
+    }
+
+    // Verifies a SOAP request using whichever mechanisms are enabled for this camera
+    authenticate(request, security) {
+        if (this.allowsWsSecurity() && security && security.UsernameToken)
+            return this.verifyUsernameToken(security);
+        if (this.allowsDigest() && request && request.headers.authorization)
+            return this.verifyDigest(request);
+        return false;
+    }
+
+    getPassword(username) {
+        if (username === this.config.username)
+            return this.config.password || '';
+        return null;
+    }
+
+    purgeNonces(now) {
+        for (let [nonce, expires] of this.nonces)
+            if (expires < now)
+                this.nonces.delete(nonce);
+        for (let [nonce, state] of this.digestNonces)
+            if (state.expires < now)
+                this.digestNonces.delete(nonce);
+    }
+
+    createDigestChallenge(stale = false) {
+        let nonce = crypto.randomBytes(16).toString('hex');
+        this.purgeNonces(Date.now());
+        this.digestNonces.set(nonce, { expires: Date.now() + DIGEST_NONCE_LIFETIME, counts: new Set(), used: false });
+
+        let challenge = `Digest realm="${this.realm}", qop="auth", algorithm=MD5, nonce="${nonce}"`;
+        if (stale)
+            challenge += ', stale=true';
+        return challenge;
+    }
+
+    verifyDigest(request) {
+        let authorization = httpDigest.parseHeader(request.headers.authorization);
+        if (!authorization || authorization.scheme != 'digest')
+            return false;
+
+        let params = authorization.params;
+        let password = this.getPassword(params.username);
+        if (password === null) {
+            this.logger.trace(`HTTP Digest: unknown user ${params.username}`);
+            return false;
+        }
+
+        if (params.realm !== this.realm || params.uri !== request.url || !params.response)
+            return false;
+        // Only the algorithm our challenges offer is accepted
+        if ((params.algorithm || 'MD5').toUpperCase() != 'MD5')
+            return false;
+
+        this.purgeNonces(Date.now());
+        let nonceState = this.digestNonces.get(params.nonce);
+        if (!nonceState) {
+            this.logger.trace(`HTTP Digest: unknown or expired nonce from ${params.username}`);
+            request.staleDigestNonce = true;
+            return false;
+        }
+
+        // Concurrent requests sharing a nonce can arrive out of order, so only counts that were already used are replays
+        let nc = parseInt(params.nc, 16);
+        if (params.qop) {
+            if (params.qop != 'auth' || !params.cnonce || isNaN(nc) || nc < 1 || nonceState.counts.has(nc)) {
+                this.logger.trace(`HTTP Digest: replayed request from ${params.username}`);
+                return false;
+            }
+        } else if (nonceState.used) {
+            // Responses without qop (RFC 2069) have no nonce count, so their nonces can only be used once
+            this.logger.trace(`HTTP Digest: reused nonce without qop from ${params.username}`);
+            request.staleDigestNonce = true;
+            return false;
+        }
+
+        let expected = httpDigest.computeResponse({
+            algorithm: params.algorithm,
+            username: params.username,
+            realm: this.realm,
+            password: password,
+            method: request.method,
+            uri: params.uri,
+            nonce: params.nonce,
+            nc: params.nc,
+            cnonce: params.cnonce,
+            qop: params.qop
+        });
+        if (!safeEqual(params.response.toLowerCase(), expected))
+            return false;
+
+        if (params.qop)
+            nonceState.counts.add(nc);
+        else
+            nonceState.used = true;
+        return true;
+    }
+
+    verifyUsernameToken(security) {
+        let token = security && security.UsernameToken;
+        if (!token)
+            return false;
+
+        let username = soapEnvelope.textValue(token.Username);
+        let password = this.getPassword(username);
+        if (password === null) {
+            this.logger.trace(`WS-Security: unknown user ${username}`);
+            return false;
+        }
+
+        let passwordType = token.Password && token.Password.attributes && token.Password.attributes.Type;
+        if (!passwordType || !passwordType.endsWith('#PasswordDigest')) {
+            this.logger.trace(`WS-Security: unsupported password type for ${username}`);
+            return false;
+        }
+
+        let digest = soapEnvelope.textValue(token.Password);
+        let nonce = soapEnvelope.textValue(token.Nonce);
+        let created = soapEnvelope.textValue(token.Created);
+        if (!digest || !nonce || !created)
+            return false;
+
+        let now = Date.now();
+        let createdTime = Date.parse(created);
+        if (isNaN(createdTime) || Math.abs(now - createdTime) > MAX_CLOCK_SKEW) {
+            this.logger.trace(`WS-Security: token for ${username} created at ${created} is outside the allowed time window`);
+            return false;
+        }
+
+        this.purgeNonces(now);
+        if (this.nonces.has(nonce)) {
+            this.logger.trace(`WS-Security: replayed nonce from ${username}`);
+            return false;
+        }
+
+        let expected = crypto.createHash('sha1')
+            .update(Buffer.concat([Buffer.from(nonce, 'base64'), Buffer.from(created + password)]))
+            .digest('base64');
+        if (!safeEqual(digest, expected))
+            return false;
+
+        this.nonces.set(nonce, createdTime + MAX_CLOCK_SKEW);
+        return true;
+    }
+}
+
+function createAuthenticator(config, logger) {
+    return new Authenticator(config, logger);
+}
+
+exports.createAuthenticator = createAuthenticator;
@@ -0,0 +1,463 @@
+const tcpProxy = require('node-tcp-proxy');
+const rtspProxy = require('./rtsp-proxy');
+const onvifServer = require('./onvif-server');
+const discoveryServer = require('./discovery-server');
+const networkManager = require('./network-manager');
+
+const STARTUP_DELAY = 2000;
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+const ADDRESS_CHECK_INTERVAL = 10000;
+const ADDRESS_WARNING_ATTEMPTS = 3; // Failed attempts to find a camera's address before hinting at a missing DHCP client
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves once a server listens, or rejects if it can't, e.g. because its port is already in use
+function waitForListening(server) {
+    return new Promise((resolve, reject) => {
+        if (server.listening)
+            return resolve();
+        server.once('listening', resolve);
+        server.once('error', reject);
+    });
+}
+
+// Runs the virtual cameras of a config and applies config changes by only touching the cameras that changed
+class CameraManager {
+    constructor(logger, options) {
+        this.logger = logger;
+        this.options = options || {};
+        this.cameras = new Map(); // Camera UUID -> { next, signature, server, proxies, attempt, retry }
+        this.discovery = discoveryServer.createDiscoveryServer([], logger);
+        this.discoveryStarted = false;
+        this.network = networkManager.createNetworkManager(logger, this.options.network);
+        this.config = null;
+        this.disabled = new Set(); // UUIDs of cameras disabled at runtime, kept across config reloads
+        this.useDirectUrls = false;
+        this.addressCheck = null;
+        this.queue = Promise.resolve();
+    }
+
+    // Runs config changes, retries and address checks one after another
+    enqueue(task) {
+        let run = this.queue.then(task);
+        this.queue = run.catch(err => this.logger.error('Camera manager error:', err));
+        return run;
+    }
+
+    // Returns the camera's config with the global settings applied
+    getCameraConfig(config, cameraConfig) {
+        let effective = JSON.parse(JSON.stringify(cameraConfig));
+        // Cameras without their own credentials inherit the global ones
+        if (config.username && !effective.username) {
+            effective.username = config.username;
+            effective.password = config.password;
+        }
+        // In single IP mode cameras without their own address share the global one and are told apart by their ports
+        if (config.hostname && !effective.hostname && !effective.mac) {
+            effective.hostname = config.hostname;
+            if (config.bindAddress)
+                effective.bindAddress = config.bindAddress;
+        }
+        return effective;
+    }
+
+    // Uses the server's config, which has the default ports filled in
+    getProxies(server, useDirectUrls) {
+        let cameraConfig = server.config;
+        let proxies = [];
+        if (useDirectUrls)
+            return proxies;
+
+        if (cameraConfig.ports.rtsp && cameraConfig.target.ports && cameraConfig.target.ports.rtsp)
+            proxies.push({
+                type: cameraConfig.proxy === 'rtsp' ? 'rtsp' : 'tcp',
+                sourceHostname: server.getHostname(),
+                bindAddress: server.getBindAddress(),
+                sourcePort: cameraConfig.ports.rtsp,
+                targetHostname: cameraConfig.target.hostname,
+                targetPort: cameraConfig.target.ports.rtsp,
+                username: cameraConfig.target.username,
+                password: cameraConfig.target.password
+            });
+        if (cameraConfig.ports.snapshot && cameraConfig.target.ports && cameraConfig.target.ports.snapshot)
+            proxies.push({
+                type: 'tcp',
+                sourceHostname: server.getHostname(),
+                bindAddress: server.getBindAddress(),
+                sourcePort: cameraConfig.ports.snapshot,
+                targetHostname: cameraConfig.target.hostname,
+                targetPort: cameraConfig.target.ports.snapshot
+            });
+        return proxies;
+    }
+
+    // Applies a validated config, resolving to the UUIDs of the cameras that were started, stopped, restarted or are waiting for
+    // their network. Waiting cameras are retried in the background. Rejects if a camera fails to start, e.g. because one of its
+    // ports is in use, in which case applying the previous config again restores the previous cameras.
+    apply(config) {
+        return this.enqueue(() => this.applyConfig(config));
+    }
+
+    async applyConfig(config) {
+        let useDirectUrls = config.useDirectUrls || false;
+        let result = { started: [], stopped: [], restarted: [], waiting: [] };
+        this.config = config;
+        this.useDirectUrls = useDirectUrls;
+        this.network.configure(config.network);
+
+        let wanted = new Map();
+        for (let cameraConfig of config.onvif) {
+            let effective = this.getCameraConfig(config, cameraConfig);
+            wanted.set(effective.uuid, {
+                config: effective,
+                signature: JSON.stringify({ config: effective, useDirectUrls: useDirectUrls })
+            });
+        }
+
+        // Stop removed and changed cameras first, so their ports are free for the cameras started below
+        let pending = [];
+        for (let [id, camera] of this.cameras) {
+            let next = wanted.get(id);
+            if (!next) {
+                await this.stopCamera(camera);
+                this.cameras.delete(id);
+                if (camera.next.config.mac)
+                    await this.network.releaseInterface(camera.next.config.mac);
+                this.disabled.delete(id);
+                result.stopped.push(id);
+            } else if (next.signature != camera.signature) {
+                await this.stopServer(camera);
+                // Forgets the running config, so the camera is started again if this apply fails and is rolled back
+                camera.signature = null;
+                pending.push(next);
+                result.restarted.push(id);
+            }
+        }
+        for (let [id, next] of wanted)
+            if (!this.cameras.has(id)) {
+                pending.push(next);
+                result.started.push(id);
+            }
+
+        let delay = false;
+        for (let next of pending) {
+            if (this.disabled.has(next.config.uuid)) {
+                this.getCamera(next);
+                continue;
+            }
+            // Delay between camera startups to avoid concurrent WSDL fetching
+            if (delay)
+                await sleep(STARTUP_DELAY);
+            delay = true;
+            if (!await this.startCamera(next))
+                result.waiting.push(next.config.uuid);
+        }
+        result.started = result.started.filter(id => !result.waiting.includes(id));
+        result.restarted = result.restarted.filter(id => !result.waiting.includes(id));
+
+        if (!this.discoveryStarted && this.cameras.size > 0) {
+            this.logger.info('Starting WS-Discovery server for all virtual devices ...');
+            this.discovery.start();
+            this.discoveryStarted = true;
+            this.logger.info('  Started!');
+            this.logger.info('');
+        }
+        if (!this.addressCheck)
+            this.addressCheck = setInterval(() => this.enqueue(() => this.checkAddresses()), ADDRESS_CHECK_INTERVAL);
+
+        return result;
+    }
+
+    // Starts the server of a new or changed camera and reconciles its proxies, keeping unchanged proxies connected.
+    // Resolves to false if the camera's network isn't ready yet, in which case it is retried with a growing delay.
+    async startCamera(next) {
+        let cameraConfig = next.config;
+        let camera = this.getCamera(next);
+
+        let serverConfig = JSON.parse(JSON.stringify(cameraConfig));
+        if (cameraConfig.mac && !cameraConfig.hostname) {
+            let interfaceName;
+            try {
+                interfaceName = await this.network.ensureInterface(cameraConfig.mac);
+            } catch (err) {
+                return this.retryLater(camera, `Failed to set up the network of ${cameraConfig.name}: ${err.message}`);
+            }
+            serverConfig.hostname = this.network.getAddress(cameraConfig.mac);
+            if (!serverConfig.hostname) {
+                if (camera.attempt + 1 == ADDRESS_WARNING_ATTEMPTS)
+                    this.logger.warn(interfaceName ?
+                        `${cameraConfig.name} still has no IPv4 address on ${interfaceName}, is a DHCP client running on ${interfaceName}?` :
+                        `${cameraConfig.name} still has no IPv4 address for MAC address ${cameraConfig.mac}, is its interface up and a DHCP client running on it?`);
+                return this.retryLater(camera, `Failed to find IP address for MAC address ${cameraConfig.mac}`);
+            }
+        }
+
+        let server = onvifServer.createServer(serverConfig, this.logger, this.useDirectUrls);
+
+        let address = cameraConfig.mac ? `${cameraConfig.mac} ${server.getHostname()}` : server.getHostname();
+        this.logger.info(`Starting virtual onvif server for ${cameraConfig.name} on ${address}:${cameraConfig.ports.server} ...`);
+        try {
+            await server.startServer();
+        } catch (err) {
+            await server.stopServer();
+            throw new Error(`Failed to start the virtual onvif server for ${cameraConfig.name}: ${err.message}`);
+        }
+        if (this.options.debug)
+            server.enableDebugOutput();
+        this.discovery.addServer(server);
+        this.logger.info('  Started!');
+        this.logger.info('');
+
+        let proxies = [];
+        let previous = camera.proxies;
+        let definitions = this.getProxies(server, this.useDirectUrls);
+        for (let definition of definitions) {
+            let key = JSON.stringify(definition);
+            let index = previous.findIndex(proxy => proxy.key == key);
+            if (index >= 0) {
+                let proxy = previous.splice(index, 1)[0];
+                if (proxy.handle.setAuthenticator)
+                    proxy.handle.setAuthenticator(server.authenticator);
+                proxies.push(proxy);
+            } else {
+                proxies.push({ key: key, definition: definition, handle: null });
+            }
+        }
+        this.stopProxies(previous);
+        camera.server = server;
+        camera.proxies = proxies.filter(proxy => proxy.handle);
+        for (let proxy of proxies)
+            if (!proxy.handle) {
+                try {
+                    proxy.handle = await this.startProxy(proxy.definition, server);
+                } catch (err) {
+                    await this.stopCamera(camera);
+                    throw new Error(`Failed to start the ${proxy.definition.type} proxy for ${cameraConfig.name}: ${err.message}`);
+                }
+                camera.proxies.push(proxy);
+            }
+
+        camera.attempt = 0;
+        return true;
+    }
+
+    // Returns the camera's entry for a new or changed config, without a server
+    getCamera(next) {
+        let camera = this.cameras.get(next.config.uuid) || { proxies: [], attempt: 0 };
+        Object.assign(camera, { next: next, signature: next.signature, server: null });
+        this.cameras.set(next.config.uuid, camera);
+        return camera;
+    }
+
+    // Stops the proxies of a camera that can't run yet and schedules another start, e.g. while DHCP hasn't assigned an address
+    retryLater(camera, message) {
+        this.stopProxies(camera.proxies);
+        camera.proxies = [];
+        camera.attempt++;
+        let delay = Math.min(MAX_RETRY_DELAY, RETRY_DELAY * Math.pow(2, camera.attempt - 1));
+        this.logger.error(`${message}, retrying in ${delay / 1000}s`);
+        camera.retry = setTimeout(() => {
+            camera.retry = null;
+            this.enqueue(() => {
+                // The camera may have been changed or removed in the meantime
+                if (this.cameras.get(camera.next.config.uuid) === camera && !camera.server)
+                    return this.startCamera(camera.next);
+            });
+        }, delay);
+        return false;
+    }
+
+    // Rebinds cameras whose interface got another address, e.g. after a DHCP renewal
+    async checkAddresses() {
+        for (let camera of this.cameras.values()) {
+            let cameraConfig = camera.next.config;
+            if (!camera.server || !cameraConfig.mac || cameraConfig.hostname)
+                continue;
+
+            let address = this.network.getAddress(cameraConfig.mac);
+            if (address == camera.server.getHostname())
+                continue;
+            this.logger.info(`Address of ${cameraConfig.name} changed from ${camera.server.getHostname()} to ${address || 'none'}, restarting ...`);
+            await this.stopServer(camera);
+            await this.startCamera(camera.next);
+        }
+    }
+
+    // Resolves to the handle of the started proxy, or rejects if it can't listen
+    async startProxy(proxy, server) {
+        this.logger.info(`Starting ${proxy.type} proxy from ${proxy.sourceHostname}:${proxy.sourcePort} to ${proxy.targetHostname}:${proxy.targetPort} ...`);
+        let handle;
+        if (proxy.type === 'rtsp') {
+            handle = rtspProxy.createRtspProxy(Object.assign({ authenticator: server.authenticator }, proxy), this.logger);
+            try {
+                await handle.start();
+            } catch (err) {
+                handle.stop();
+                throw err;
+            }
+        } else {
+            handle = tcpProxy.createProxy(proxy.sourcePort, proxy.targetHostname, proxy.targetPort, {
+                hostname: proxy.bindAddress
+            });
+            handle.server.on('error', (err) => {
+                this.logger.error(`TCP proxy error on ${proxy.sourceHostname}:${proxy.sourcePort}:`, err);
+            });
+            try {
+                await waitForListening(handle.server);
+            } catch (err) {
+                handle.end();
+                throw err;
+            }
+        }
+        this.logger.info('  Started!');
+        this.logger.info('');
+        return handle;
+    }
+
+    stopProxies(proxies) {
+        for (let proxy of proxies) {
+            this.logger.info(`Stopping ${proxy.definition.type} proxy on ${proxy.definition.sourceHostname}:${proxy.definition.sourcePort}`);
+            if (proxy.definition.type === 'rtsp')
+                proxy.handle.stop();
+            else
+                proxy.handle.end();
+        }
+    }
+
+    async stopServer(camera) {
+        clearTimeout(camera.retry);
+        camera.retry = null;
+        let server = camera.server;
+        if (!server)
+            return;
+
+        camera.server = null;
+        let info = server.getDiscoveryInfo();
+        this.logger.info(`Stopping virtual onvif server on ${info.hostname}:${info.port}`);
+        await this.discovery.removeServer(server);
+        await server.stopServer();
+    }
+
+    async stopCamera(camera) {
+        await this.stopServer(camera);
+        this.stopProxies(camera.proxies);
+        camera.proxies = [];
+    }
+
+    getServers() {
+        return Array.from(this.cameras.values()).map(camera => camera.server).filter(server => server);
+    }
+
+    // Returns the server of a running camera
+    getServer(uuid) {
+        let camera = this.cameras.get(uuid);
+        return camera ? camera.server : null;
+    }
+
+    // Returns the config that was applied last
+    getConfig() {
+        return this.config;
+    }
+
+    // Returns the runtime state of all cameras, e.g. for the admin API
+    getStatus() {
+        return Array.from(this.cameras.values()).map(camera => {
+            let cameraConfig = camera.next.config;
+            let server = camera.server;
+            let lastAnswer = this.discovery.getLastAnswer(cameraConfig.uuid);
+            return {
+                uuid: cameraConfig.uuid,
+                name: cameraConfig.name,
+                state: this.disabled.has(cameraConfig.uuid) ? 'disabled' : (server ? 'running' : 'waiting'),
+                mac: cameraConfig.mac || null,
+                hostname: server ? server.getHostname() : (cameraConfig.hostname || null),
+                ports: server ? server.config.ports : (cameraConfig.ports || {}),
+                target: {
+                    hostname: cameraConfig.target.hostname,
+                    ports: cameraConfig.target.ports || {}
+                },
+                retries: camera.attempt,
+                proxies: camera.proxies.map(proxy => ({
+                    type: proxy.definition.type,
+                    source: `${proxy.definition.sourceHostname}:${proxy.definition.sourcePort}`,
+                    target: `${proxy.definition.targetHostname}:${proxy.definition.targetPort}`,
+                    connections: proxy.handle.getConnectionCount ? proxy.handle.getConnectionCount() : Object.keys(proxy.handle.proxySockets || {}).length
+                })),
+                discovery: {
+                    lastAnswer: lastAnswer ? lastAnswer.toISOString() : null
+                }
+            };
+        });
+    }
+
+    // Stops or starts a camera without changing the config, resolving to false for unknown cameras
+    setEnabled(uuid, enabled) {
+        return this.enqueue(async () => {
+            let camera = this.cameras.get(uuid);
+            if (!camera)
+                return false;
+
+            if (!enabled) {
+                this.disabled.add(uuid);
+                this.logger.info(`Disabling ${camera.next.config.name}`);
+                await this.stopCamera(camera);
+            } else if (this.disabled.delete(uuid) && !camera.server) {
+                this.logger.info(`Enabling ${camera.next.config.name}`);
+                camera.attempt = 0;
+                await this.startCamera(camera.next);
+            }
+            return true;
+        });
+    }
+
+    // Reconnects a camera's proxies, e.g. after the real device was restarted. Resolves to false if the camera isn't running.
+    restartProxies(uuid) {
+        return this.enqueue(async () => {
+            let camera = this.cameras.get(uuid);
+            if (!camera || !camera.server)
+                return false;
+
+            this.stopProxies(camera.proxies);
+            camera.proxies = [];
+            for (let definition of this.getProxies(camera.server, this.useDirectUrls))
+                camera.proxies.push({
+                    key: JSON.stringify(definition),
+                    definition: definition,
+                    handle: await this.startProxy(definition, camera.server)
+                });
+            return true;
+        });
+    }
+
+    // Announces running cameras to the network again, resolving to the number of Hello messages sent
+    async sendHello(uuid) {
+        if (!this.discovery.isRunning())
+            return 0;
+        let servers = Array.from(this.cameras.values())
+            .filter(camera => camera.server && (!uuid || camera.next.config.uuid == uuid))
+            .map(camera => camera.server);
+        await Promise.all(servers.map(server => this.discovery.sendHello(server)));
+        return servers.length;
+    }
+
+    stop() {
+        return this.enqueue(async () => {
+            clearInterval(this.addressCheck);
+            this.addressCheck = null;
+            for (let camera of this.cameras.values())
+                await this.stopCamera(camera);
+            this.cameras.clear();
+            await this.discovery.stop();
+            this.discoveryStarted = false;
+        });
+    }
+}
+
+function createCameraManager(logger, options) {
+    return new CameraManager(logger, options);
+}
+
+exports.createCameraManager = createCameraManager;
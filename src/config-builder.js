@@ -1,23 +1,62 @@
 const soap = require('soap');
 const uuid = require('node-uuid');
+const yaml = require('yaml');
+const deviceClock = require('./device-clock');
+
+const MAC_REGEX = /^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/i;
+const MAC_PLACEHOLDER = '<ONVIF PROXY MAC ADDRESS HERE>';
+
+const DEFAULT_OPTIONS = {
+    serverPort: 8081,
+    rtspPort: 8554,
+    snapshotPort: 8580,
+    targetRtspPort: 554,
+    macPrefix: null,
+    hostname: null
+};
+
+// Keep the tokens of the former highQuality/lowQuality profiles for the first two streams, so clients see the same profiles
+const PROFILE_TOKENS = ['main_stream', 'sub_stream'];
 
 function extractPath(url) {
     return url.substr(url.indexOf('/', url.indexOf('//') + 2));
 }
 
-async function createConfig(hostname, username, password) {
+// Returns the MAC address with the given number in the prefix' address range, e.g. a2:a2:a2:a2:a2 and 1 -> a2:a2:a2:a2:a2:01
+function createMacAddress(prefix, number) {
+    let octets = prefix.split(':');
+    let suffix = [];
+    for (let i = octets.length; i < 6; i++) {
+        suffix.unshift((number % 256).toString(16).padStart(2, '0'));
+        number = Math.floor(number / 256);
+    }
+    return octets.concat(suffix).join(':').toLowerCase();
+}
+
+// Only locally administered unicast addresses (like a2:...) can't collide with the address of a real network card
+function isMacPrefix(prefix) {
+    return /^[0-9a-f]{2}(:[0-9a-f]{2}){0,4}$/i.test(prefix) && (parseInt(prefix.substr(0, 2), 16) & 0x03) == 0x02;
+}
+
+async function createConfig(hostname, username, password, settings) {
+    settings = Object.assign({}, DEFAULT_OPTIONS, settings);
     let options = {
         forceSoap12Headers: true
     };
 
-    let securityOptions = {
-        hasNonce: true,
-        passwordType: 'PasswordDigest'
-    };
-    
     let client = await soap.createClientAsync('./wsdl/media_service.wsdl', options);
     client.setEndpoint(`http://${hostname}/onvif/device_service`);
-    client.setSecurity(new soap.WSSecurity(username, password, securityOptions));
+
+    let clockOffset = 0;
+    try {
+        let deviceClient = await soap.createClientAsync('./wsdl/device_service.wsdl', options);
+        deviceClient.setEndpoint(`http://${hostname}/onvif/device_service`);
+        clockOffset = await deviceClock.getClockOffset(deviceClient);
+        console.error(deviceClock.formatClockOffset(clockOffset));
+    } catch (err) {
+        console.error(`Failed to get the time of the device, assuming its clock is in sync: ${err.message}`);
+    }
+    client.setSecurity(deviceClock.createSecurity(username, password, clockOffset));
 
     let hostport = 80;
     if (hostname.indexOf(':') > -1) {
@@ -59,64 +98,93 @@ async function createConfig(hostname, username, password) {
         throw `Error: ${err.message}`;
     }
 
-    let config = {
-        onvif: []
-    };
+    // In single IP mode all cameras share the global hostname, so each one needs its own RTSP and snapshot ports as well
+    let config = settings.hostname ? { hostname: settings.hostname, onvif: [] } : { onvif: [] };
 
-    let serverPort = 8081;
+    let serverPort = settings.serverPort;
+    let portOffset = 0;
+    let macNumber = 1;
     for (let camera in cameras) {
-        let mainStream = cameras[camera][0];
-        let subStream = cameras[camera][cameras[camera].length > 1 ? 1 : 0];
-
-        let swapStreams = false;
-        if (subStream.VideoEncoderConfiguration.Quality > mainStream.VideoEncoderConfiguration.Quality)
-            swapStreams = true;
-        else if (subStream.VideoEncoderConfiguration.Quality == mainStream.VideoEncoderConfiguration.Quality)
-            if (subStream.VideoEncoderConfiguration.Resolution.Width > mainStream.VideoEncoderConfiguration.Resolution.Width)
-                swapStreams = true;
-
-        if (swapStreams) {
-            let tempStream = subStream;
-            subStream = mainStream;
-            mainStream = tempStream;
-        }
+        // Order the streams from the highest to the lowest quality, so the main stream comes first
+        let streams = cameras[camera].slice().sort((a, b) => {
+            let quality = b.VideoEncoderConfiguration.Quality - a.VideoEncoderConfiguration.Quality;
+            if (quality != 0)
+                return quality;
+            return b.VideoEncoderConfiguration.Resolution.Width - a.VideoEncoderConfiguration.Resolution.Width;
+        });
+        let mainStream = streams[0];
 
         let cameraConfig = {
-            mac: '<ONVIF PROXY MAC ADDRESS HERE>',
+            mac: settings.macPrefix ? createMacAddress(settings.macPrefix, macNumber++) : MAC_PLACEHOLDER,
             ports: {
                 server: serverPort,
-                rtsp: 8554,
-                snapshot: 8580
+                rtsp: settings.rtspPort + portOffset,
+                snapshot: settings.snapshotPort + portOffset
             },
             name: mainStream.VideoSourceConfiguration.Name,
             uuid: uuid.v4(),
-            highQuality: {
-                rtsp: extractPath(mainStream.streamUri),
-                snapshot: extractPath(mainStream.snapshotUri),
-                width: mainStream.VideoEncoderConfiguration.Resolution.Width,
-                height: mainStream.VideoEncoderConfiguration.Resolution.Height,
-                framerate: mainStream.VideoEncoderConfiguration.RateControl.FrameRateLimit,
-                bitrate: mainStream.VideoEncoderConfiguration.RateControl.BitrateLimit,
-                quality: 4.0
-            },
-            lowQuality: {
-                rtsp: extractPath(subStream.streamUri),
-                snapshot: extractPath(subStream.snapshotUri),
-                width: subStream.VideoEncoderConfiguration.Resolution.Width,
-                height: subStream.VideoEncoderConfiguration.Resolution.Height,
-                framerate: subStream.VideoEncoderConfiguration.RateControl.FrameRateLimit,
-                bitrate: subStream.VideoEncoderConfiguration.RateControl.BitrateLimit,
-                quality: 1.0
-            },
+            profiles: streams.map((stream, index) => {
+                let profile = {
+                    token: PROFILE_TOKENS[index] || `stream_${index + 1}`,
+                    name: stream.Name,
+                    rtsp: extractPath(stream.streamUri),
+                    snapshot: extractPath(stream.snapshotUri),
+                    width: stream.VideoEncoderConfiguration.Resolution.Width,
+                    height: stream.VideoEncoderConfiguration.Resolution.Height,
+                    framerate: stream.VideoEncoderConfiguration.RateControl.FrameRateLimit,
+                    bitrate: stream.VideoEncoderConfiguration.RateControl.BitrateLimit,
+                    quality: index == 0 ? 4.0 : 1.0
+                };
+                if (['H264', 'H265', 'MPEG4'].includes(stream.VideoEncoderConfiguration.Encoding))
+                    profile.encoding = stream.VideoEncoderConfiguration.Encoding;
+                if (stream.AudioEncoderConfiguration && ['G711', 'G726', 'AAC'].includes(stream.AudioEncoderConfiguration.Encoding))
+                    profile.audio = {
+                        encoding: stream.AudioEncoderConfiguration.Encoding,
+                        bitrate: stream.AudioEncoderConfiguration.Bitrate,
+                        sampleRate: stream.AudioEncoderConfiguration.SampleRate
+                    };
+                return profile;
+            }),
             target: {
                 hostname: hostname,
                 ports: {
-                    rtsp: 554,
-                    snapshot: hostport
+                    rtsp: settings.targetRtspPort,
+                    snapshot: hostport,
+                    onvif: hostport
+                }
+            },
+            events: {
+                upstream: {
+                    videoSourceToken: camera,
+                    videoSourceConfigurationToken: mainStream.VideoSourceConfiguration.attributes.token
                 }
             }
         };
 
+        // The real device only accepts backchannel audio if its profiles have an audio output
+        if (mainStream.Extension && mainStream.Extension.AudioOutputConfiguration)
+            cameraConfig.audioOutput = {
+                encoding: 'G711'
+            };
+
+        if (mainStream.PTZConfiguration) {
+            cameraConfig.ptz = {
+                profileToken: mainStream.attributes.token,
+                configurationToken: mainStream.PTZConfiguration.attributes.token,
+                nodeToken: mainStream.PTZConfiguration.NodeToken
+            };
+        }
+
+        // PTZ commands and the upstream events are requested from the real device with its own credentials
+        if (username) {
+            cameraConfig.target.username = username;
+            cameraConfig.target.password = password;
+        }
+
+        if (settings.hostname) {
+            delete cameraConfig.mac;
+            portOffset++;
+        }
         config.onvif.push(cameraConfig);
         serverPort++;
     }
@@ -124,28 +192,162 @@ async function createConfig(hostname, username, password) {
     return config;
 }
 
-exports.createConfig = async function(hostname, username, password) {
+function getVideoSourceToken(camera) {
+    return camera.events && camera.events.upstream && camera.events.upstream.videoSourceToken;
+}
 
-    let config;
-    try {
-        config = await createConfig(hostname, username, password);
-    } catch (err) {
-        console.log(err);
-        if (err.includes('time check failed')) {
-            console.log('Retrying...')
+// Returns the RTSP paths of a camera's streams, from its profiles or the highQuality/lowQuality shorthand
+function getRtspPaths(camera) {
+    let streams = camera.profiles || [camera.highQuality, camera.lowQuality];
+    return streams.filter(stream => stream && stream.rtsp).map(stream => stream.rtsp);
+}
 
-            var utcHours = (new Date()).getUTCHours();
-            Date.prototype.getUTCHours = function() {
-                return utcHours + 1;
-            }
+// Checks whether an existing camera proxies the same upstream channel as a regenerated one. Cameras written before the
+// upstream video source was recorded (or by hand) are matched by their name or the RTSP path of one of their streams.
+function isSameChannel(existing, camera) {
+    if (!existing.target || existing.target.hostname != camera.target.hostname)
+        return false;
+
+    let source = getVideoSourceToken(existing);
+    if (source)
+        return source == getVideoSourceToken(camera);
+    let paths = getRtspPaths(camera);
+    return existing.name == camera.name || getRtspPaths(existing).some(path => paths.includes(path));
+}
+
+// Sets the values of a mapping node, keeping the settings of nested mappings that the values don't contain (e.g. target credentials)
+function updateNode(document, node, values) {
+    for (let key in values) {
+        let child = node.get(key, true);
+        let value = values[key];
+        if (yaml.isMap(child) && value && typeof value === 'object' && !Array.isArray(value))
+            updateNode(document, child, value);
+        else
+            node.set(key, document.createNode(value));
+    }
+}
 
-            try {
-                config = await createConfig(hostname, username, password);
-            } catch (err) {
-                console.log(err);
+// Merges a generated config into the YAML source of an existing one. Cameras of known channels are updated but keep their
+// name, MAC address, hostname, UUID and ports, new ones get the next free ports and MAC addresses. Comments are preserved.
+function mergeConfig(source, config, settings) {
+    settings = Object.assign({}, DEFAULT_OPTIONS, settings);
+    let document = yaml.parseDocument(source);
+    if (document.errors.length > 0)
+        throw new Error(`Failed to parse the existing config: ${document.errors[0].message.split('\n')[0]}`);
+    if (!yaml.isMap(document.contents))
+        document.contents = document.createNode({});
+    if (!yaml.isSeq(document.get('onvif', true)))
+        document.set('onvif', document.createNode([]));
+
+    let cameras = document.get('onvif', true);
+    let existing = cameras.items.filter(camera => yaml.isMap(camera));
+    let unmatched = existing.map(camera => ({ node: camera, camera: camera.toJSON() }));
+    let macs = new Set(existing.map(camera => String(camera.get('mac')).toLowerCase()));
+    let names = new Set(existing.map(camera => String(camera.get('name')).toLowerCase()));
+    let serverPorts = new Set(existing.map(camera => camera.getIn(['ports', 'server']) || 80));
+    let result = { added: 0, updated: 0 };
+
+    // Cameras sharing the global hostname can't use any port twice, so all ports of the config count as taken
+    let sharedPorts = new Set();
+    if (settings.hostname) {
+        // The global hostname goes before the cameras, like the other global settings
+        if (!document.has('hostname')) {
+            let items = document.contents.items;
+            let index = items.findIndex(pair => yaml.isScalar(pair.key) && pair.key.value == 'onvif');
+            items.splice(index, 0, document.createPair('hostname', settings.hostname));
+        }
+        for (let camera of existing)
+            for (let name of ['server', 'rtsp', 'snapshot'])
+                sharedPorts.add(camera.getIn(['ports', name]) || { server: 80, rtsp: 554 }[name]);
+    }
+    let nextSharedPort = (port) => {
+        while (sharedPorts.has(port))
+            port++;
+        sharedPorts.add(port);
+        return port;
+    };
+
+    let serverPort = settings.serverPort;
+    let macNumber = 1;
+    let nextMac = () => {
+        while (macs.has(createMacAddress(settings.macPrefix, macNumber)))
+            macNumber++;
+        let mac = createMacAddress(settings.macPrefix, macNumber);
+        macs.add(mac);
+        return mac;
+    };
+
+    // Channels of different devices are often named alike (e.g. VideoSource_1), so new cameras get their device's
+    // hostname appended to names that are already taken
+    let uniqueName = (camera) => {
+        let name = camera.name;
+        if (names.has(name.toLowerCase()))
+            name = `${camera.name}-${camera.target.hostname}`;
+        for (let number = 2; names.has(name.toLowerCase()); number++)
+            name = `${camera.name}-${camera.target.hostname}-${number}`;
+        names.add(name.toLowerCase());
+        return name;
+    };
+
+    for (let camera of config.onvif) {
+        // Each existing camera is matched at most once, preferring a match by video source over one by name or path
+        let match = unmatched.find(entry => getVideoSourceToken(entry.camera) && isSameChannel(entry.camera, camera)) ||
+            unmatched.find(entry => isSameChannel(entry.camera, camera));
+        let node = match && match.node;
+        if (node) {
+            unmatched.splice(unmatched.indexOf(match), 1);
+            // Known cameras only get a MAC address (or shared ports in single IP mode) if they still have the placeholder
+            if (node.get('mac') == MAC_PLACEHOLDER && settings.hostname) {
+                node.delete('mac');
+                for (let name of ['server', 'rtsp', 'snapshot'])
+                    node.setIn(['ports', name], nextSharedPort(settings[`${name}Port`]));
+            } else if (settings.macPrefix && !MAC_REGEX.test(String(node.get('mac')))) {
+                node.set('mac', nextMac());
             }
+            let update = Object.assign({}, camera);
+            for (let key of ['name', 'mac', 'hostname', 'uuid', 'ports'])
+                delete update[key];
+            // The generated profiles replace the highQuality/lowQuality shorthand
+            node.delete('highQuality');
+            node.delete('lowQuality');
+            updateNode(document, node, update);
+            result.updated++;
+            continue;
         }
+
+        camera.name = uniqueName(camera);
+        if (settings.hostname) {
+            delete camera.mac;
+            camera.ports.server = nextSharedPort(settings.serverPort);
+            camera.ports.rtsp = nextSharedPort(settings.rtspPort);
+            camera.ports.snapshot = nextSharedPort(settings.snapshotPort);
+            cameras.add(document.createNode(camera));
+            result.added++;
+            continue;
+        }
+
+        while (serverPorts.has(serverPort))
+            serverPort++;
+        camera.ports.server = serverPort;
+        serverPorts.add(serverPort);
+        if (settings.macPrefix)
+            camera.mac = nextMac();
+        cameras.add(document.createNode(camera));
+        result.added++;
     }
 
-    return config;
+    result.source = document.toString();
+    return result;
 }
+
+exports.createConfig = async function(hostname, username, password, settings) {
+    try {
+        return await createConfig(hostname, username, password, settings);
+    } catch (err) {
+        // Errors of the device are already turned into messages, others (e.g. failing to load the WSDL) aren't
+        console.error(typeof err === 'string' ? err : `Error: ${err.message}`);
+    }
+}
+
+exports.mergeConfig = mergeConfig;
+exports.isMacPrefix = isMacPrefix;
@@ -0,0 +1,429 @@
+const yaml = require('yaml');
+
+const MAC_REGEX = /^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/i;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const string = { type: 'string' };
+const requiredString = { type: 'string', required: true };
+const port = { type: 'integer', min: 1, max: 65535 };
+
+// YAML merge key (<<: *defaults) copying the keys of other mappings into a mapping
+const MERGE_KEY = '<<';
+const positiveInteger = { type: 'integer', min: 1 };
+const positiveNumber = { type: 'number', min: 0, exclusiveMin: true };
+
+const AUDIO_SCHEMA = {
+    type: 'object',
+    properties: {
+        encoding: { type: 'string', required: true, enum: ['G711', 'G726', 'AAC'] },
+        bitrate: positiveInteger,
+        sampleRate: positiveNumber
+    }
+};
+
+const QUALITY_SCHEMA = {
+    type: 'object',
+    properties: {
+        rtsp: requiredString,
+        snapshot: string,
+        width: Object.assign({ required: true }, positiveInteger),
+        height: Object.assign({ required: true }, positiveInteger),
+        framerate: Object.assign({ required: true }, positiveNumber),
+        bitrate: Object.assign({ required: true }, positiveNumber),
+        quality: { type: 'number', min: 0 },
+        encoding: { type: 'string', enum: ['H264', 'H265', 'MPEG4'] },
+        profile: string,
+        govLength: positiveInteger,
+        encodingInterval: positiveInteger,
+        audio: AUDIO_SCHEMA
+    }
+};
+
+const PROFILE_SCHEMA = {
+    type: 'object',
+    properties: Object.assign({
+        token: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]+$/, description: 'a token of letters, digits, _ and -' },
+        name: string
+    }, QUALITY_SCHEMA.properties)
+};
+
+const CAMERA_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: requiredString,
+        uuid: { type: 'string', required: true, pattern: UUID_REGEX, description: 'a UUID' },
+        mac: { type: 'string', pattern: MAC_REGEX, description: 'a MAC address like a2:a2:a2:a2:a2:a1' },
+        hostname: string,
+        username: string,
+        password: string,
+        authentication: { type: 'string', enum: ['any', 'ws-security', 'digest'] },
+        proxy: { type: 'string', enum: ['tcp', 'rtsp'] },
+        identity: {
+            type: 'object',
+            properties: {
+                manufacturer: string,
+                model: string,
+                firmwareVersion: string,
+                serialNumber: string,
+                hardwareId: string
+            }
+        },
+        scopes: {
+            type: 'array',
+            items: { type: 'string', pattern: /^\S+$/, description: 'a scope URI without whitespace' }
+        },
+        snapshotCacheTtl: { type: 'number', min: 0 },
+        ports: {
+            type: 'object',
+            properties: {
+                server: port,
+                rtsp: port,
+                snapshot: port
+            }
+        },
+        profiles: { type: 'array', minItems: 1, items: PROFILE_SCHEMA },
+        highQuality: QUALITY_SCHEMA,
+        lowQuality: QUALITY_SCHEMA,
+        audioOutput: AUDIO_SCHEMA,
+        target: {
+            type: 'object',
+            required: true,
+            properties: {
+                hostname: requiredString,
+                username: string,
+                password: string,
+                ports: {
+                    type: 'object',
+                    properties: {
+                        rtsp: port,
+                        snapshot: port,
+                        onvif: port
+                    }
+                }
+            }
+        },
+        ptz: {
+            type: 'object',
+            properties: {
+                profileToken: requiredString,
+                configurationToken: string,
+                nodeToken: string
+            }
+        },
+        events: {
+            type: 'object',
+            properties: {
+                holdTime: positiveNumber,
+                upstream: {
+                    type: 'object',
+                    properties: {
+                        videoSourceToken: string,
+                        videoSourceConfigurationToken: string
+                    }
+                },
+                mqtt: {
+                    type: 'object',
+                    properties: {
+                        url: requiredString,
+                        topic: requiredString,
+                        username: string,
+                        password: string
+                    }
+                }
+            }
+        }
+    }
+};
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    required: true,
+    properties: {
+        useDirectUrls: { type: 'boolean' },
+        hostname: string,
+        bindAddress: string,
+        admin: {
+            type: 'object',
+            properties: {
+                port: Object.assign({ required: true }, port),
+                token: { type: 'string', required: true, pattern: /^\S{16,}$/, description: 'a token of at least 16 characters without whitespace' },
+                hostname: string
+            }
+        },
+        dashboard: {
+            type: 'object',
+            properties: {
+                port: Object.assign({ required: true }, port),
+                username: requiredString,
+                password: requiredString,
+                hostname: string
+            }
+        },
+        network: {
+            type: 'object',
+            properties: {
+                managed: { type: 'boolean' },
+                interface: { type: 'string', pattern: /^[A-Za-z0-9_.-]{1,15}$/, description: 'a network interface name like eth0' }
+            }
+        },
+        username: string,
+        password: string,
+        onvif: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: CAMERA_SCHEMA
+        }
+    }
+};
+
+function formatPath(path) {
+    return path.reduce((result, part) => typeof part === 'number' ? `${result}[${part}]` : (result ? `${result}.${part}` : part), '') || '(root)';
+}
+
+class ConfigValidator {
+    constructor(source) {
+        this.source = source;
+        this.lineCounter = new yaml.LineCounter();
+        this.document = null;
+        this.errors = [];
+    }
+
+    // Aliases (*name) are checked as the node they refer to
+    resolve(node) {
+        return yaml.isAlias(node) ? node.resolve(this.document) : node;
+    }
+
+    // Looks a key up in a mapping and the mappings merged into it, whose keys only count if the mapping lacks them
+    getNode(map, key) {
+        if (map.has(key))
+            return map.get(key, true);
+        for (let source of this.getMergeSources(map)) {
+            let node = this.getNode(source, key);
+            if (node !== undefined)
+                return node;
+        }
+        return undefined;
+    }
+
+    getMergeSources(map) {
+        let merge = this.resolve(map.get(MERGE_KEY, true));
+        let sources = yaml.isSeq(merge) ? merge.items.map(item => this.resolve(item)) : [merge];
+        return sources.filter(source => yaml.isMap(source));
+    }
+
+    getKeys(map) {
+        let keys = map.items.map(pair => yaml.isScalar(pair.key) ? pair.key.value : String(pair.key)).filter(key => key != MERGE_KEY);
+        for (let source of this.getMergeSources(map))
+            keys = keys.concat(this.getKeys(source).filter(key => !keys.includes(key)));
+        return keys;
+    }
+
+    getValue(map, key) {
+        let node = this.resolve(this.getNode(map, key));
+        return yaml.isScalar(node) ? node.value : node;
+    }
+
+    addError(path, node, message) {
+        let line = node && node.range ? this.lineCounter.linePos(node.range[0]).line : undefined;
+        this.errors.push({ path: formatPath(path), line: line, message: message });
+    }
+
+    validate() {
+        let document = yaml.parseDocument(this.source, { lineCounter: this.lineCounter, prettyErrors: false, merge: true });
+        this.document = document;
+        for (let error of document.errors) {
+            let line = this.lineCounter.linePos(error.pos[0]).line;
+            this.errors.push({ path: '(syntax)', line: line, message: error.message.split('\n')[0] });
+        }
+        if (this.errors.length > 0)
+            return { config: null, errors: this.errors };
+
+        this.validateNode(document.contents, CONFIG_SCHEMA, [], document.contents);
+        this.validateCameras(document);
+
+        this.errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+        return {
+            config: this.errors.length == 0 ? document.toJS() : null,
+            errors: this.errors
+        };
+    }
+
+    validateNode(node, schema, path, parent) {
+        node = this.resolve(node);
+        if (node === null || node === undefined || (yaml.isScalar(node) && node.value === null)) {
+            if (schema.required)
+                this.addError(path, node || parent, 'is required');
+            return;
+        }
+
+        if (schema.type == 'object') {
+            if (!yaml.isMap(node))
+                return this.addError(path, node, 'must be a mapping');
+
+            for (let pair of node.items) {
+                let key = yaml.isScalar(pair.key) ? pair.key.value : String(pair.key);
+                // Unknown keys are allowed when they only define an anchor to reuse elsewhere
+                if (!(key in schema.properties) && key != MERGE_KEY && !(pair.value && pair.value.anchor))
+                    this.addError(path.concat(key), pair.key, 'is not a known setting');
+            }
+            for (let key in schema.properties)
+                this.validateNode(this.getNode(node, key), schema.properties[key], path.concat(key), node);
+            return;
+        }
+
+        if (schema.type == 'array') {
+            if (!yaml.isSeq(node))
+                return this.addError(path, node, 'must be a list');
+            if (schema.minItems && node.items.length < schema.minItems)
+                return this.addError(path, node, `must contain at least ${schema.minItems} entry`);
+            node.items.forEach((item, index) => this.validateNode(item, Object.assign({ required: true }, schema.items), path.concat(index), node));
+            return;
+        }
+
+        if (!yaml.isScalar(node))
+            return this.addError(path, node, `must be a ${schema.type}`);
+
+        let value = node.value;
+        switch (schema.type) {
+            case 'string':
+                if (typeof value !== 'string')
+                    return this.addError(path, node, 'must be a string');
+                if (schema.enum && !schema.enum.includes(value))
+                    return this.addError(path, node, `must be one of ${schema.enum.join(', ')}`);
+                if (schema.pattern && !schema.pattern.test(value))
+                    return this.addError(path, node, `must be ${schema.description}`);
+                break;
+
+            case 'boolean':
+                if (typeof value !== 'boolean')
+                    return this.addError(path, node, 'must be true or false');
+                break;
+
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || (schema.type == 'integer' && !Number.isInteger(value)))
+                    return this.addError(path, node, `must be ${schema.type == 'integer' ? 'an integer' : 'a number'}`);
+                if (schema.min !== undefined && (value < schema.min || (schema.exclusiveMin && value == schema.min)))
+                    return this.addError(path, node, `must be ${schema.exclusiveMin ? 'greater than' : 'at least'} ${schema.min}`);
+                if (schema.max !== undefined && value > schema.max)
+                    return this.addError(path, node, `must be at most ${schema.max}`);
+                break;
+        }
+    }
+
+    // Checks that cameras don't share identities or network bindings
+    validateCameras(document) {
+        let cameras = yaml.isMap(document.contents) && this.resolve(this.getNode(document.contents, 'onvif'));
+        if (!yaml.isSeq(cameras))
+            return;
+
+        let uuids = new Map();
+        let names = new Map();
+        let macs = new Map();
+        let bindings = new Map(); // Port -> [{ address, path }]
+
+        // Cameras without their own address share the global one (single IP mode), and may listen on all addresses
+        let sharedHostname = this.getValue(document.contents, 'hostname');
+        let sharedBindAddress = this.getValue(document.contents, 'bindAddress') || sharedHostname;
+
+        cameras.items.forEach((camera, index) => {
+            camera = this.resolve(camera);
+            if (!yaml.isMap(camera))
+                return;
+
+            let path = ['onvif', index];
+            let checkUnique = (map, key, value, description) => {
+                let node = this.getNode(camera, key);
+                if (typeof value !== 'string')
+                    return;
+                let normalized = value.toLowerCase();
+                if (map.has(normalized))
+                    this.addError(path.concat(key), node, `duplicate ${description} '${value}', already used by onvif[${map.get(normalized)}]`);
+                else
+                    map.set(normalized, index);
+            };
+
+            checkUnique(uuids, 'uuid', this.getValue(camera, 'uuid'), 'uuid');
+            checkUnique(names, 'name', this.getValue(camera, 'name'), 'name');
+            checkUnique(macs, 'mac', this.getValue(camera, 'mac'), 'MAC address');
+            this.validateProfiles(camera, path);
+
+            let host = this.getValue(camera, 'hostname') || this.getValue(camera, 'mac');
+            if (!host && !sharedHostname)
+                return this.addError(path, camera, 'requires either a mac or a hostname');
+            let address = String(host || sharedBindAddress).toLowerCase();
+
+            // The server and RTSP ports default to 80 and 554 like in the server itself
+            let ports = this.resolve(this.getNode(camera, 'ports'));
+            let localPorts = { server: 80, rtsp: 554 };
+            if (yaml.isMap(ports))
+                for (let key of this.getKeys(ports))
+                    localPorts[key] = this.getValue(ports, key);
+            for (let name in localPorts)
+                this.addBinding(bindings, localPorts[name], address, host || sharedHostname, path.concat('ports', name),
+                    (yaml.isMap(ports) && this.getNode(ports, name)) || camera);
+        });
+
+        // The admin API and the dashboard listen next to the cameras, on 127.0.0.1 unless configured otherwise
+        for (let key of ['admin', 'dashboard']) {
+            let service = this.resolve(this.getNode(document.contents, key));
+            if (!yaml.isMap(service))
+                continue;
+            let hostname = this.getValue(service, 'hostname') || '127.0.0.1';
+            this.addBinding(bindings, this.getValue(service, 'port'), String(hostname).toLowerCase(), hostname, [key, 'port'], this.getNode(service, 'port'));
+        }
+    }
+
+    addBinding(bindings, port, address, hostname, path, node) {
+        if (!Number.isInteger(port))
+            return;
+        let used = bindings.get(port) || [];
+        // Listening on all addresses (0.0.0.0) takes the port on every address
+        let other = used.find(binding => binding.address == address || binding.address == '0.0.0.0' || address == '0.0.0.0');
+        if (other)
+            this.addError(path, node, `port ${port} on ${hostname} is already used by ${other.path}`);
+        else
+            bindings.set(port, used.concat({ address: address, path: formatPath(path) }));
+    }
+
+    // highQuality and lowQuality are a shorthand for a profiles list, so exactly one of them has to be used
+    validateProfiles(camera, path) {
+        let profiles = this.resolve(this.getNode(camera, 'profiles'));
+        if (!profiles) {
+            if (!this.getNode(camera, 'highQuality'))
+                this.addError(path, camera, 'requires either profiles or highQuality');
+            return;
+        }
+
+        for (let key of ['highQuality', 'lowQuality'])
+            if (this.getNode(camera, key))
+                this.addError(path.concat(key), this.getNode(camera, key), 'can\'t be combined with profiles');
+
+        if (!yaml.isSeq(profiles))
+            return;
+        let tokens = new Map();
+        profiles.items.forEach((profile, index) => {
+            profile = this.resolve(profile);
+            let token = yaml.isMap(profile) && this.getValue(profile, 'token');
+            if (typeof token !== 'string')
+                return;
+            if (tokens.has(token))
+                this.addError(path.concat('profiles', index, 'token'), this.getNode(profile, 'token'), `duplicate token '${token}', already used by profiles[${tokens.get(token)}]`);
+            else
+                tokens.set(token, index);
+        });
+    }
+}
+
+// Parses and validates a YAML config, returning { config, errors } where each error has a path, line and message
+function validateConfig(source) {
+    return new ConfigValidator(source).validate();
+}
+
+function formatError(error) {
+    return `${error.path}${error.line ? ` (line ${error.line})` : ''}: ${error.message}`;
+}
+
+exports.validateConfig = validateConfig;
+exports.formatError = formatError;
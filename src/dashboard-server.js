@@ -0,0 +1,250 @@
+const http = require('http');
+const fs = require('fs');
+const url = require('url');
+const authenticator = require('./authenticator');
+const configBuilder = require('./config-builder');
+const configValidator = require('./config-validator');
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const STATIC_FILES = {
+    '/': { file: './resources/dashboard/index.html', contentType: 'text/html; charset=utf-8' },
+    '/app.js': { file: './resources/dashboard/app.js', contentType: 'text/javascript; charset=utf-8' },
+    '/style.css': { file: './resources/dashboard/style.css', contentType: 'text/css; charset=utf-8' }
+};
+
+// Only JSON bodies are accepted, as browsers can't send them cross-site without a CORS preflight (which we never allow)
+function readJson(request) {
+    if (!/^application\/json\s*(;|$)/i.test(request.headers['content-type'] || ''))
+        return Promise.reject({ statusCode: 415, message: 'Expected a JSON request' });
+
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                request.destroy();
+                return reject({ statusCode: 413, message: 'Request too large' });
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (err) {
+                reject({ statusCode: 400, message: 'Invalid JSON' });
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function getHost(value) {
+    let match = /^(\[[^\]]+\]|[^:]+)(:\d+)?$/.exec(value || '');
+    return match ? match[1].replace(/^\[|\]$/g, '').toLowerCase() : null;
+}
+
+function toPort(value, fallback) {
+    let port = parseInt(value);
+    return port >= 1 && port <= 65535 ? port : fallback;
+}
+
+// Serves a web UI showing the cameras with their URLs and snapshots, and importing NVRs into the config.
+// Browsers log in with HTTP Digest, using the credentials of the dashboard settings. As browsers resend these credentials
+// on their own, requests changing anything have to come from the dashboard's own page and address.
+class DashboardServer {
+    constructor(manager, logger, options) {
+        this.manager = manager;
+        this.logger = logger;
+        this.options = options;
+        this.server = null;
+        this.authenticator = authenticator.createAuthenticator({
+            name: 'Dashboard',
+            username: options.username,
+            password: options.password,
+            authentication: 'digest'
+        }, logger);
+
+        this.routes = [
+            { method: 'GET', path: /^\/api\/cameras$/, handler: () => this.getCameras() },
+            { method: 'GET', path: /^\/api\/cameras\/([^/]+)\/snapshot$/, handler: (request, response, id) => this.sendSnapshot(response, id) },
+            { method: 'POST', path: /^\/api\/create-config$/, handler: (request) => readJson(request).then(body => this.createConfig(body)) },
+            { method: 'POST', path: /^\/api\/config$/, handler: (request) => readJson(request).then(body => this.saveConfig(body)) }
+        ];
+    }
+
+    // Adds the URLs to enter in an NVR to the state of each camera
+    getCameras() {
+        return this.manager.getStatus().map(camera => {
+            let server = this.manager.getServer(camera.uuid);
+            if (!server)
+                return Object.assign(camera, { onvifUrl: null, streams: [] });
+
+            return Object.assign(camera, {
+                onvifUrl: `http://${server.getHostname()}:${server.config.ports.server}/onvif/device_service`,
+                streams: server.streams.map(stream => ({
+                    token: stream.token,
+                    name: stream.name,
+                    width: stream.width,
+                    height: stream.height,
+                    rtspUrl: server.getStreamUri(stream.token),
+                    snapshotUrl: server.getSnapshotUri(stream.token)
+                }))
+            });
+        });
+    }
+
+    async sendSnapshot(response, id) {
+        let server = this.manager.getServer(id);
+        if (!server)
+            throw { statusCode: 404, message: `Camera ${id} isn't running` };
+
+        let snapshot = await server.snapshotProxy.getSnapshot(server.getSnapshotPath(server.streams[0].token));
+        response.writeHead(200, { 'Content-Type': snapshot.contentType, 'Cache-Control': 'no-store' });
+        response.end(snapshot.data);
+    }
+
+    readConfigSource() {
+        try {
+            return fs.readFileSync(this.options.configFile, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT')
+                return '';
+            throw err;
+        }
+    }
+
+    // Imports the cameras of an NVR into the current config, returning the merged YAML for review without saving it
+    async createConfig(body) {
+        if (!body.hostname)
+            throw { statusCode: 400, message: 'The hostname of the NVR is required' };
+        if (body.macPrefix && !configBuilder.isMacPrefix(body.macPrefix))
+            throw { statusCode: 400, message: `Invalid MAC prefix ${body.macPrefix}` };
+
+        let settings = {
+            serverPort: toPort(body.serverPort, 8081),
+            rtspPort: toPort(body.rtspPort, 8554),
+            snapshotPort: toPort(body.snapshotPort, 8580),
+            targetRtspPort: toPort(body.targetRtspPort, 554),
+            macPrefix: body.macPrefix || null,
+            hostname: body.singleIp || null
+        };
+        this.logger.info(`Dashboard: creating config for ${body.hostname} ...`);
+        let config = await configBuilder.createConfig(body.hostname, body.username || '', body.password || '', settings);
+        if (!config)
+            throw { statusCode: 502, message: `Failed to create a config for ${body.hostname}, see the server log for details` };
+
+        let result;
+        try {
+            result = configBuilder.mergeConfig(this.readConfigSource(), config, settings);
+        } catch (err) {
+            throw { statusCode: 409, message: err.message };
+        }
+        return {
+            source: result.source,
+            added: result.added,
+            updated: result.updated,
+            errors: configValidator.validateConfig(result.source).errors.map(configValidator.formatError)
+        };
+    }
+
+    // Saves a reviewed config, which the running server then reloads like any other change of the file
+    saveConfig(body) {
+        if (typeof body.source !== 'string')
+            throw { statusCode: 400, message: 'The config source is required' };
+
+        let errors = configValidator.validateConfig(body.source).errors.map(configValidator.formatError);
+        if (errors.length > 0)
+            throw { statusCode: 422, message: 'The config is invalid', errors: errors };
+
+        fs.writeFileSync(this.options.configFile, body.source);
+        this.logger.info(`Dashboard: saved config ${this.options.configFile}`);
+        return { saved: true };
+    }
+
+    // Returns whether a request names one of our own addresses as its host, which rules out DNS rebinding
+    isOwnHost(request) {
+        let host = getHost(request.headers.host);
+        let localAddress = (request.socket.localAddress || '').replace(/^::ffff:/, '');
+        return !!host && [this.options.hostname, localAddress, 'localhost', '127.0.0.1', '::1'].includes(host);
+    }
+
+    // Rejects requests that change something unless they come from a page of the dashboard itself
+    checkOrigin(request) {
+        if (!this.isOwnHost(request))
+            throw { statusCode: 403, message: `Unknown host ${request.headers.host}` };
+        let origin = request.headers.origin;
+        if (origin !== undefined && (!/^https?:\/\//.test(origin) || origin.replace(/^https?:\/\//, '').toLowerCase() != request.headers.host.toLowerCase()))
+            throw { statusCode: 403, message: `Cross-origin requests from ${origin} aren't allowed` };
+    }
+
+    sendJson(response, statusCode, body) {
+        response.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+        response.end(JSON.stringify(body) + '\n');
+    }
+
+    async handleRequest(request, response) {
+        if (!this.authenticator.verifyDigest(request)) {
+            response.writeHead(401, {
+                'WWW-Authenticate': this.authenticator.createDigestChallenge(!!request.staleDigestNonce),
+                'Content-Type': 'text/plain'
+            });
+            return response.end('401 Unauthorized\n');
+        }
+
+        let path = url.parse(request.url).pathname;
+        let file = STATIC_FILES[path];
+        if (file && request.method == 'GET') {
+            response.writeHead(200, { 'Content-Type': file.contentType });
+            return fs.createReadStream(file.file).pipe(response);
+        }
+
+        let route = this.routes.find(route => route.method == request.method && route.path.test(path));
+        if (!route)
+            return this.sendJson(response, 404, { error: 'Not Found' });
+
+        try {
+            if (request.method != 'GET')
+                this.checkOrigin(request);
+            let match = route.path.exec(path);
+            let result = await route.handler(request, response, ...match.slice(1).map(decodeURIComponent));
+            if (!response.headersSent)
+                this.sendJson(response, 200, result);
+        } catch (err) {
+            if (err.statusCode)
+                return this.sendJson(response, err.statusCode, { error: err.message, errors: err.errors });
+            this.logger.error('Dashboard error:', err);
+            this.sendJson(response, 500, { error: 'Internal Server Error' });
+        }
+    }
+
+    start() {
+        let hostname = this.options.hostname || '127.0.0.1';
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        this.server.on('error', (err) => {
+            this.logger.error('Dashboard server error:', err);
+        });
+        this.server.listen(this.options.port, hostname);
+        this.logger.info(`Started dashboard on ${hostname}:${this.options.port}`);
+    }
+
+    // Resolves once the port is free again
+    stop() {
+        if (!this.server)
+            return Promise.resolve();
+
+        let server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+    }
+}
+
+function createDashboardServer(manager, logger, options) {
+    return new DashboardServer(manager, logger, options);
+}
+
+exports.createDashboardServer = createDashboardServer;
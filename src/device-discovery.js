@@ -0,0 +1,156 @@
+const dgram = require('dgram');
+const os = require('os');
+const uuid = require('node-uuid');
+const soapEnvelope = require('./soap-envelope');
+
+const MULTICAST_ADDRESS = '239.255.255.250';
+const DISCOVERY_PORT = 3702;
+const DEFAULT_TIMEOUT = 3000;
+
+// Some NVRs only announce themselves as device, not as video transmitter, so both types are probed
+const PROBE_TYPES = ['dn:NetworkVideoTransmitter', 'tds:Device'];
+
+function createProbe(messageId, types) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+            <soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope" xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing" xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dn="http://www.onvif.org/ver10/network/wsdl" xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
+                <soap:Header>
+                    <wsa:MessageID>${messageId}</wsa:MessageID>
+                    <wsa:To soap:mustUnderstand="true">urn:schemas-xmlsoap-org:ws:2005:04:discovery</wsa:To>
+                    <wsa:Action soap:mustUnderstand="true">http://schemas.xmlsoap.org/ws/2005/04/discovery/Probe</wsa:Action>
+                </soap:Header>
+                <soap:Body>
+                    <d:Probe>
+                        <d:Types>${types}</d:Types>
+                    </d:Probe>
+                </soap:Body>
+            </soap:Envelope>`;
+}
+
+function splitList(value) {
+    return (soapEnvelope.textValue(value) || '').split(/\s+/).filter(item => item);
+}
+
+// Returns the value of a well-known ONVIF scope like onvif://www.onvif.org/name/<value>
+function getScopeValue(scopes, category) {
+    const prefix = `onvif://www.onvif.org/${category}/`;
+    const scope = scopes.find(scope => scope.toLowerCase().startsWith(prefix));
+    if (!scope)
+        return undefined;
+    try {
+        return decodeURIComponent(scope.substring(prefix.length));
+    } catch (err) {
+        return scope.substring(prefix.length);
+    }
+}
+
+// Picks the host[:port] to create the config from, preferring IPv4 addresses over names and IPv6
+function getHostname(xaddrs) {
+    const hosts = [];
+    for (const xaddr of xaddrs) {
+        try {
+            hosts.push(new URL(xaddr).host);
+        } catch (err) {
+            continue;
+        }
+    }
+    return hosts.find(host => /^\d+\.\d+\.\d+\.\d+(:\d+)?$/.test(host)) || hosts[0];
+}
+
+// Returns the devices of a parsed ProbeMatches message. Like our own virtual devices, ONVIF devices announce their
+// manufacturer in the hardware scope and their model in the name scope.
+function getProbeMatches(envelope) {
+    const devices = [];
+    for (const match of soapEnvelope.toArray(envelope.args && envelope.args.ProbeMatch)) {
+        const address = (soapEnvelope.textValue(match.EndpointReference && match.EndpointReference.Address) || '').trim();
+        const xaddrs = splitList(match.XAddrs);
+        if (!address || xaddrs.length == 0)
+            continue;
+
+        const scopes = splitList(match.Scopes);
+        devices.push({
+            address: address,
+            uuid: address.replace(/^urn:uuid:/i, ''),
+            hostname: getHostname(xaddrs),
+            xaddrs: xaddrs,
+            scopes: scopes,
+            manufacturer: getScopeValue(scopes, 'hardware'),
+            model: getScopeValue(scopes, 'name')
+        });
+    }
+    return devices;
+}
+
+function getProbeAddresses() {
+    const addresses = [];
+    for (const networks of Object.values(os.networkInterfaces()))
+        for (const network of networks)
+            if (network.family == 'IPv4' && !network.internal)
+                addresses.push(network.address);
+    return addresses;
+}
+
+// Probes the local networks for ONVIF devices, resolving to the devices that answered within the timeout.
+// Devices whose UUIDs are excluded (e.g. our own virtual devices) are left out.
+function discoverDevices(options) {
+    options = options || {};
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const exclude = new Set((options.exclude || []).map(id => id.toLowerCase()));
+    const messageIds = new Set();
+    const devices = new Map(); // Endpoint address -> device
+
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket({ type: 'udp4' });
+
+        socket.on('message', (message) => {
+            soapEnvelope.parse(message.toString())
+                .then(envelope => {
+                    if (envelope.operation != 'ProbeMatches' || !messageIds.has(soapEnvelope.textValue(envelope.header.RelatesTo)))
+                        return;
+
+                    for (const device of getProbeMatches(envelope))
+                        if (!exclude.has(device.uuid.toLowerCase()) && !devices.has(device.address))
+                            devices.set(device.address, device);
+                })
+                .catch(() => {}); // Not every datagram on the discovery port is for us
+        });
+
+        socket.on('error', (err) => {
+            socket.close();
+            reject(err);
+        });
+
+        socket.bind(0, () => {
+            // Without a configured network the system's default interface is used
+            const addresses = getProbeAddresses();
+            const probes = [];
+            for (const address of addresses.length > 0 ? addresses : [null])
+                for (const types of PROBE_TYPES)
+                    probes.push({ address: address, types: types });
+
+            // The multicast interface applies to the next send, so the probes are sent one after another
+            const sendProbe = () => {
+                const probe = probes.shift();
+                if (!probe)
+                    return;
+                if (probe.address)
+                    socket.setMulticastInterface(probe.address);
+                const messageId = `urn:uuid:${uuid.v4()}`;
+                messageIds.add(messageId);
+                socket.send(createProbe(messageId, probe.types), DISCOVERY_PORT, MULTICAST_ADDRESS, (err) => {
+                    if (err)
+                        messageIds.delete(messageId);
+                    sendProbe();
+                });
+            };
+            sendProbe();
+
+            setTimeout(() => {
+                socket.close();
+                resolve(Array.from(devices.values()).filter(device => device.hostname));
+            }, timeout);
+        });
+    });
+}
+
+exports.discoverDevices = discoverDevices;
+exports.getProbeMatches = getProbeMatches;
@@ -1,6 +1,40 @@
 const dgram = require('dgram');
-const xml2js = require('xml2js');
 const uuid = require('node-uuid');
+const soapEnvelope = require('./soap-envelope');
+
+const MULTICAST_ADDRESS = '239.255.255.250';
+const DISCOVERY_PORT = 3702;
+const MATCH_BY_RFC3986 = 'http://schemas.xmlsoap.org/ws/2005/04/discovery/rfc3986';
+const MATCH_BY_STRCMP0 = 'http://schemas.xmlsoap.org/ws/2005/04/discovery/strcmp0';
+
+// Matches a probe scope against a device scope using the rule given by the probe's MatchBy attribute
+function matchesScope(matchBy, scope, deviceScope) {
+    if (matchBy == MATCH_BY_STRCMP0)
+        return scope == deviceScope;
+    if (matchBy != MATCH_BY_RFC3986)
+        return false;
+
+    // Scheme and authority are compared case-insensitively, the path segment by segment as a prefix
+    let probeUrl, deviceUrl;
+    try {
+        probeUrl = new URL(scope);
+        deviceUrl = new URL(deviceScope);
+    } catch (err) {
+        return scope == deviceScope;
+    }
+    if (probeUrl.protocol.toLowerCase() != deviceUrl.protocol.toLowerCase() || probeUrl.host.toLowerCase() != deviceUrl.host.toLowerCase())
+        return false;
+
+    const probeSegments = probeUrl.pathname.split('/').filter(segment => segment);
+    const deviceSegments = deviceUrl.pathname.split('/').filter(segment => segment);
+    return probeSegments.length <= deviceSegments.length && probeSegments.every((segment, index) => segment == deviceSegments[index]);
+}
+
+// Returns the local address to send and receive multicasts on, or null for the default interface if a device listens on all
+// addresses. Devices sharing an address (single IP mode) share its multicast membership.
+function getMulticastInterface(info) {
+    return info.localAddress && info.localAddress != '0.0.0.0' ? info.localAddress : null;
+}
 
 class DiscoveryServer {
     constructor(servers, logger) {
@@ -9,118 +43,268 @@ class DiscoveryServer {
         this.socket = null;
         this.responseSocket = null; // Reusable socket for sending responses
         this.messageCounters = new Map(); // Track message number per device
+        this.memberships = new Set(); // Local addresses the multicast group was joined on, null for the default interface
+        this.lastAnswers = new Map(); // Device UUID -> time discovery last answered a probe or resolve for it
+        this.bound = false;
+
+        // WS-Discovery requires the instance id to increase whenever the service restarts
+        this.instanceId = Math.floor(Date.now() / 1000);
 
         // Initialize message counters for each device
         servers.forEach(server => {
             const info = server.getDiscoveryInfo();
-            this.messageCounters.set(info.uuid, 0);
+            this.messageCounters.set(info.uuid, 1);
+            server.setDiscoveryServer(this);
         });
     }
 
-    start() {
-        this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
-        this.responseSocket = dgram.createSocket('udp4'); // Create reusable response socket
+    nextMessageNumber(uuid) {
+        const messageNumber = this.messageCounters.get(uuid) || 1;
+        this.messageCounters.set(uuid, messageNumber + 1);
+        return messageNumber;
+    }
 
-        this.socket.on('message', (message, remote) => {
-            xml2js.parseString(message.toString(), { tagNameProcessors: [xml2js['processors'].stripPrefix] }, (err, result) => {
-                if (err) {
-                    this.logger.trace('Failed to parse discovery message:', err);
+    createMessage(info, action, header, body) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+                <SOAP-ENV:Envelope xmlns:SOAP-ENV="http://www.w3.org/2003/05/soap-envelope" xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing" xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dn="http://www.onvif.org/ver10/network/wsdl">
+                    <SOAP-ENV:Header>
+                        <wsa:MessageID>uuid:${uuid.v1()}</wsa:MessageID>
+                        ${header}
+                        <wsa:Action SOAP-ENV:mustUnderstand="true">http://schemas.xmlsoap.org/ws/2005/04/discovery/${action}</wsa:Action>
+                        <d:AppSequence SOAP-ENV:mustUnderstand="true" MessageNumber="${this.nextMessageNumber(info.uuid)}" InstanceId="${this.instanceId}"/>
+                    </SOAP-ENV:Header>
+                    <SOAP-ENV:Body>
+                        ${body}
+                    </SOAP-ENV:Body>
+                </SOAP-ENV:Envelope>`;
+    }
+
+    renderEndpoint(info) {
+        return `<wsa:EndpointReference>
+                    <wsa:Address>urn:uuid:${info.uuid}</wsa:Address>
+                </wsa:EndpointReference>
+                <d:Types>dn:NetworkVideoTransmitter</d:Types>
+                <d:Scopes>${info.scopes.map(scope => soapEnvelope.escapeXml(scope)).join(' ')}</d:Scopes>
+                <d:XAddrs>http://${info.hostname}:${info.port}/onvif/device_service</d:XAddrs>
+                <d:MetadataVersion>${info.metadataVersion}</d:MetadataVersion>`;
+    }
+
+    // Returns whether a probe's Types and Scopes match a device
+    matchesProbe(info, probe) {
+        const types = (soapEnvelope.textValue(probe.Types) || '').split(/\s+/).filter(type => type);
+        if (types.length > 0 && !types.some(type => type.indexOf('NetworkVideoTransmitter') > -1))
+            return false;
+
+        const scopes = (soapEnvelope.textValue(probe.Scopes) || '').split(/\s+/).filter(scope => scope);
+        const matchBy = (probe.Scopes && probe.Scopes.attributes && probe.Scopes.attributes.MatchBy) || MATCH_BY_RFC3986;
+        return scopes.every(scope => info.scopes.some(deviceScope => matchesScope(matchBy, scope, deviceScope)));
+    }
+
+    // Returns the responses to a discovery message for the given servers; directed probes always get a (possibly empty) answer
+    async handleMessage(message, servers, directed) {
+        const envelope = await soapEnvelope.parse(message);
+        const action = soapEnvelope.textValue(envelope.header.Action) || envelope.operation || '';
+        const operation = action.substring(action.lastIndexOf('/') + 1);
+        const messageId = soapEnvelope.textValue(envelope.header.MessageID);
+        const header =
+           `${messageId ? `<wsa:RelatesTo>${soapEnvelope.escapeXml(messageId)}</wsa:RelatesTo>` : ''}
+            <wsa:To SOAP-ENV:mustUnderstand="true">http://schemas.xmlsoap.org/ws/2004/08/addressing/role/anonymous</wsa:To>`;
+
+        switch (operation) {
+            case 'Probe': {
+                const probe = envelope.body.Probe || {};
+                const matches = servers.filter(server => this.matchesProbe(server.getDiscoveryInfo(), probe));
+                this.logger.trace(`Discovery probe matched ${matches.length} of ${servers.length} device(s)`);
+                matches.forEach(server => this.lastAnswers.set(server.getDiscoveryInfo().uuid, new Date()));
+
+                // Send a ProbeMatch response for each matching device
+                const responses = matches.map(server => {
+                    const info = server.getDiscoveryInfo();
+                    return this.createMessage(info, 'ProbeMatches', header,
+                       `<d:ProbeMatches>
+                            <d:ProbeMatch>
+                                ${this.renderEndpoint(info)}
+                            </d:ProbeMatch>
+                        </d:ProbeMatches>`);
+                });
+                if (directed && responses.length == 0 && servers.length > 0)
+                    responses.push(this.createMessage(servers[0].getDiscoveryInfo(), 'ProbeMatches', header, '<d:ProbeMatches/>'));
+                return responses;
+            }
+
+            case 'Resolve': {
+                const resolve = envelope.body.Resolve || {};
+                const address = (soapEnvelope.textValue(resolve.EndpointReference && resolve.EndpointReference.Address) || '').trim().toLowerCase();
+                const server = servers.find(server => `urn:uuid:${server.getDiscoveryInfo().uuid}`.toLowerCase() == address);
+                this.logger.trace(`Discovery resolve for ${address} ${server ? 'matched' : 'did not match'}`);
+                if (!server)
+                    return [];
+
+                const info = server.getDiscoveryInfo();
+                this.lastAnswers.set(info.uuid, new Date());
+                return [this.createMessage(info, 'ResolveMatches', header,
+                   `<d:ResolveMatches>
+                        <d:ResolveMatch>
+                            ${this.renderEndpoint(info)}
+                        </d:ResolveMatch>
+                    </d:ResolveMatches>`)];
+            }
+
+            case 'Hello':
+            case 'Bye':
+                // Announcements of other devices (and the echo of our own) need no answer
+                return [];
+
+            default:
+                this.logger.trace(`Ignoring unsupported discovery message ${action}`);
+                return [];
+        }
+    }
+
+    // Sends a message to the WS-Discovery multicast group from the device's own address
+    multicast(address, message) {
+        return new Promise(resolve => {
+            const socket = dgram.createSocket('udp4');
+            let done = false;
+            const finish = (err) => {
+                if (done)
                     return;
-                }
+                done = true;
+                if (err)
+                    this.logger.error(`Failed to send discovery announcement from ${address || 'the default interface'}:`, err);
+                socket.close();
+                resolve();
+            };
 
-                let probeUuid = result['Envelope']['Header'][0]['MessageID'][0];
-                let probeType = '';
+            socket.on('error', finish);
+            socket.bind(0, address || undefined, () => {
                 try {
-                    probeType = result['Envelope']['Body'][0]['Probe'][0]['Types'][0];
+                    if (address)
+                        socket.setMulticastInterface(address);
                 } catch (err) {
-                    probeType = '';
-                }
-
-                if (typeof probeType === 'object')
-                    probeType = probeType._;
-
-                if (typeof probeUuid === 'object')
-                    probeUuid = probeUuid._;
-
-                // Only respond to probes for NetworkVideoTransmitter or generic probes
-                if (probeType === '' || probeType.indexOf('NetworkVideoTransmitter') > -1) {
-                    this.logger.trace(`Discovery probe received from ${remote.address}:${remote.port}`);
-
-                    // Send a ProbeMatch response for each registered device
-                    this.servers.forEach(server => {
-                        const info = server.getDiscoveryInfo();
-                        const messageNo = this.messageCounters.get(info.uuid);
-
-                        const response =
-                           `<?xml version="1.0" encoding="UTF-8"?>
-                            <SOAP-ENV:Envelope xmlns:SOAP-ENV="http://www.w3.org/2003/05/soap-envelope" xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing" xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dn="http://www.onvif.org/ver10/network/wsdl">
-                                <SOAP-ENV:Header>
-                                    <wsa:MessageID>uuid:${uuid.v1()}</wsa:MessageID>
-                                    <wsa:RelatesTo>${probeUuid}</wsa:RelatesTo>
-                                    <wsa:To SOAP-ENV:mustUnderstand="true">http://schemas.xmlsoap.org/ws/2004/08/addressing/role/anonymous</wsa:To>
-                                    <wsa:Action SOAP-ENV:mustUnderstand="true">http://schemas.xmlsoap.org/ws/2005/04/discovery/ProbeMatches</wsa:Action>
-                                    <d:AppSequence SOAP-ENV:mustUnderstand="true" MessageNumber="${messageNo}" InstanceId="1234567890"/>
-                                </SOAP-ENV:Header>
-                                <SOAP-ENV:Body>
-                                    <d:ProbeMatches>
-                                        <d:ProbeMatch>
-                                            <wsa:EndpointReference>
-                                                <wsa:Address>urn:uuid:${info.uuid}</wsa:Address>
-                                            </wsa:EndpointReference>
-                                            <d:Types>dn:NetworkVideoTransmitter</d:Types>
-                                            <d:Scopes>
-                                                onvif://www.onvif.org/type/video_encoder
-                                                onvif://www.onvif.org/type/ptz
-                                                onvif://www.onvif.org/hardware/Onvif
-                                                onvif://www.onvif.org/name/Cardinal
-                                                onvif://www.onvif.org/location/
-                                            </d:Scopes>
-                                            <d:XAddrs>http://${info.hostname}:${info.port}/onvif/device_service</d:XAddrs>
-                                            <d:MetadataVersion>1</d:MetadataVersion>
-                                        </d:ProbeMatch>
-                                    </d:ProbeMatches>
-                                </SOAP-ENV:Body>
-                            </SOAP-ENV:Envelope>`;
-
-                        // Increment message counter for this device
-                        this.messageCounters.set(info.uuid, messageNo + 1);
-
-                        const responseBuffer = Buffer.from(response);
-                        this.responseSocket.send(responseBuffer, 0, responseBuffer.length, remote.port, remote.address);
-                    });
+                    return finish(err);
                 }
+                const buffer = Buffer.from(message);
+                socket.send(buffer, 0, buffer.length, DISCOVERY_PORT, MULTICAST_ADDRESS, finish);
             });
         });
+    }
+
+    // Returns when discovery last answered for a device, or null if it never did
+    getLastAnswer(uuid) {
+        return this.lastAnswers.get(uuid) || null;
+    }
+
+    isRunning() {
+        return !!this.socket;
+    }
+
+    // Announces a device that joined the network
+    sendHello(server) {
+        const info = server.getDiscoveryInfo();
+        this.logger.trace(`Sending discovery Hello for ${info.uuid}`);
+        return this.multicast(getMulticastInterface(info), this.createMessage(info, 'Hello',
+            '<wsa:To SOAP-ENV:mustUnderstand="true">urn:schemas-xmlsoap-org:ws:2005:04:discovery</wsa:To>',
+            `<d:Hello>
+                ${this.renderEndpoint(info)}
+            </d:Hello>`));
+    }
+
+    // Announces a device that is leaving the network
+    sendBye(server) {
+        const info = server.getDiscoveryInfo();
+        this.logger.trace(`Sending discovery Bye for ${info.uuid}`);
+        return this.multicast(getMulticastInterface(info), this.createMessage(info, 'Bye',
+            '<wsa:To SOAP-ENV:mustUnderstand="true">urn:schemas-xmlsoap-org:ws:2005:04:discovery</wsa:To>',
+            `<d:Bye>
+                <wsa:EndpointReference>
+                    <wsa:Address>urn:uuid:${info.uuid}</wsa:Address>
+                </wsa:EndpointReference>
+            </d:Bye>`));
+    }
+
+    start() {
+        this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        this.responseSocket = dgram.createSocket('udp4'); // Create reusable response socket
+
+        this.socket.on('message', (message, remote) => {
+            this.handleMessage(message.toString(), this.servers, false)
+                .then(responses => responses.forEach(response => {
+                    const responseBuffer = Buffer.from(response);
+                    this.responseSocket.send(responseBuffer, 0, responseBuffer.length, remote.port, remote.address);
+                }))
+                .catch(err => this.logger.trace(`Failed to handle discovery message from ${remote.address}:${remote.port}:`, err));
+        });
 
         this.socket.on('error', (err) => {
             this.logger.error('Discovery server error:', err);
         });
 
         // Bind to the WS-Discovery multicast port
-        this.socket.bind(3702, () => {
-            this.logger.trace('Discovery server bound to port 3702');
+        this.socket.bind(DISCOVERY_PORT, () => {
+            this.logger.trace(`Discovery server bound to port ${DISCOVERY_PORT}`);
+            this.bound = true;
 
-            // Join the multicast group for each server's hostname
-            const hostnames = new Set();
-            this.servers.forEach(server => {
-                const info = server.getDiscoveryInfo();
-                if (info.hostname) {
-                    hostnames.add(info.hostname);
-                }
-            });
-
-            hostnames.forEach(hostname => {
-                try {
-                    this.socket.addMembership('239.255.255.250', hostname);
-                    this.logger.trace(`Joined multicast group on ${hostname}`);
-                } catch (err) {
-                    this.logger.error(`Failed to join multicast group on ${hostname}:`, err);
-                }
-            });
+            // Join the multicast group for each server's address
+            this.servers.forEach(server => this.joinMulticastGroup(getMulticastInterface(server.getDiscoveryInfo())));
         });
+
+        this.servers.forEach(server => this.sendHello(server));
+    }
+
+    // Registers a server that was started after the discovery server and announces it once discovery is running
+    addServer(server) {
+        const info = server.getDiscoveryInfo();
+        this.servers.push(server);
+        server.setDiscoveryServer(this);
+        if (!this.messageCounters.has(info.uuid))
+            this.messageCounters.set(info.uuid, 1);
+        if (this.bound)
+            this.joinMulticastGroup(getMulticastInterface(info));
+        if (this.socket)
+            this.sendHello(server);
     }
 
-    stop() {
+    // Unregisters a server, resolving once its Bye has been sent
+    removeServer(server) {
+        const info = server.getDiscoveryInfo();
+        this.servers = this.servers.filter(other => other !== server);
+        server.setDiscoveryServer(null);
+        const bye = this.socket ? this.sendBye(server) : Promise.resolve();
+
+        // Leave the multicast group once no other server uses the address
+        const address = getMulticastInterface(info);
+        if (this.bound && this.memberships.has(address) && !this.servers.some(other => getMulticastInterface(other.getDiscoveryInfo()) == address)) {
+            try {
+                this.socket.dropMembership(MULTICAST_ADDRESS, address || undefined);
+            } catch (err) {
+                this.logger.trace(`Failed to leave multicast group on ${address || 'the default interface'}:`, err);
+            }
+            this.memberships.delete(address);
+        }
+        return bye;
+    }
+
+    joinMulticastGroup(address) {
+        if (this.memberships.has(address))
+            return;
+
+        try {
+            this.socket.addMembership(MULTICAST_ADDRESS, address || undefined);
+            this.memberships.add(address);
+            this.logger.trace(`Joined multicast group on ${address || 'the default interface'}`);
+        } catch (err) {
+            this.logger.error(`Failed to join multicast group on ${address || 'the default interface'}:`, err);
+        }
+    }
+
+    // Says Bye for all remaining devices and closes the sockets
+    async stop() {
+        if (this.socket)
+            await Promise.all(this.servers.map(server => this.sendBye(server)));
+
+        this.bound = false;
+        this.memberships.clear();
         if (this.socket) {
             this.socket.close();
             this.socket = null;
@@ -0,0 +1,432 @@
+const url = require('url');
+const crypto = require('crypto');
+const soapEnvelope = require('./soap-envelope');
+
+const MAX_SUBSCRIPTIONS = 20;
+const MAX_QUEUED_MESSAGES = 100;
+const DEFAULT_TERMINATION_TIME = 60 * 1000;
+const MAX_TERMINATION_TIME = 60 * 60 * 1000;
+const MAX_PULL_TIMEOUT = 60 * 1000;
+const MAX_REQUEST_SIZE = 1024 * 1024;
+
+const TOPIC_DIALECT = 'http://www.onvif.org/ver10/tev/topicExpression/ConcreteSet';
+
+// Topics we can emit, with the SimpleItem names and types of their Source and Data sections
+const TOPICS = {
+    'tns1:VideoSource/MotionAlarm': {
+        source: [['Source', 'tt:ReferenceToken']],
+        data: [['State', 'xs:boolean']]
+    },
+    'tns1:RuleEngine/CellMotionDetector/Motion': {
+        source: [['VideoSourceConfigurationToken', 'tt:ReferenceToken'], ['VideoAnalyticsConfigurationToken', 'tt:ReferenceToken'], ['Rule', 'xs:string']],
+        data: [['IsMotion', 'xs:boolean']]
+    },
+    'tns1:RuleEngine/ObjectDetection/Object': {
+        source: [['VideoSourceConfigurationToken', 'tt:ReferenceToken'], ['VideoAnalyticsConfigurationToken', 'tt:ReferenceToken'], ['Rule', 'xs:string']],
+        data: [['ClassTypes', 'tt:ClassType'], ['State', 'xs:boolean']]
+    }
+};
+
+// Motion and the object classes of the triggers start out inactive, so new subscribers get their initial state and the first
+// detection is reported as a change
+const INITIAL_EVENTS = [
+    {
+        topic: 'tns1:VideoSource/MotionAlarm',
+        source: { Source: 'video_src_token' },
+        data: { State: false }
+    },
+    {
+        topic: 'tns1:RuleEngine/CellMotionDetector/Motion',
+        source: {
+            VideoSourceConfigurationToken: 'video_src_config_token',
+            VideoAnalyticsConfigurationToken: 'video_analytics_config_token',
+            Rule: 'MotionDetectorRule'
+        },
+        data: { IsMotion: false }
+    }
+].concat(['Human', 'Vehicle', 'Animal', 'Face'].map(classType => ({
+    topic: 'tns1:RuleEngine/ObjectDetection/Object',
+    source: {
+        VideoSourceConfigurationToken: 'video_src_config_token',
+        VideoAnalyticsConfigurationToken: 'video_analytics_config_token',
+        Rule: classType
+    },
+    data: { ClassTypes: classType, State: false }
+})));
+
+const ACTIONS = {
+    GetServiceCapabilities: 'http://www.onvif.org/ver10/events/wsdl/EventPortType/GetServiceCapabilitiesResponse',
+    GetEventProperties: 'http://www.onvif.org/ver10/events/wsdl/EventPortType/GetEventPropertiesResponse',
+    CreatePullPointSubscription: 'http://www.onvif.org/ver10/events/wsdl/EventPortType/CreatePullPointSubscriptionResponse',
+    PullMessages: 'http://www.onvif.org/ver10/events/wsdl/PullPointSubscription/PullMessagesResponse',
+    SetSynchronizationPoint: 'http://www.onvif.org/ver10/events/wsdl/PullPointSubscription/SetSynchronizationPointResponse',
+    Renew: 'http://docs.oasis-open.org/wsn/bw-2/SubscriptionManager/RenewResponse',
+    Unsubscribe: 'http://docs.oasis-open.org/wsn/bw-2/SubscriptionManager/UnsubscribeResponse'
+};
+
+// Parses an xs:duration such as PT10S or PT1M30S into milliseconds
+function parseDuration(text) {
+    let match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(String(text).trim());
+    if (!match)
+        return null;
+    return ((parseInt(match[1] || 0) * 24 + parseInt(match[2] || 0)) * 60 + parseInt(match[3] || 0)) * 60000 +
+        Math.round(parseFloat(match[4] || 0) * 1000);
+}
+
+// Parses a termination time, which may be either an absolute time or a duration from now
+function parseTerminationTime(text, now) {
+    if (!text)
+        return now + DEFAULT_TERMINATION_TIME;
+    let duration = parseDuration(text);
+    let time = duration !== null ? now + duration : Date.parse(text);
+    if (isNaN(time))
+        return null;
+    return Math.min(time, now + MAX_TERMINATION_TIME);
+}
+
+function stripTopicPrefix(topic) {
+    return topic.split('/').map(part => part.substr(part.indexOf(':') + 1)).join('/');
+}
+
+// Checks whether a topic is the filtered topic or below it, comparing whole path segments
+function matchesTopic(topic, filter) {
+    return topic == filter || topic.startsWith(filter + '/');
+}
+
+function renderSimpleItems(items) {
+    return Object.keys(items)
+        .map(name => `<tt:SimpleItem Name="${soapEnvelope.escapeXml(name)}" Value="${soapEnvelope.escapeXml(items[name])}"/>`)
+        .join('');
+}
+
+function renderTopicSet() {
+    let tree = {};
+    for (let topic in TOPICS) {
+        let node = tree;
+        for (let part of topic.split('/'))
+            node = node[part] = node[part] || {};
+        node.$description = TOPICS[topic];
+    }
+
+    let renderItems = (items) => items
+        .map(item => `<tt:SimpleItemDescription Name="${item[0]}" Type="${item[1]}"/>`)
+        .join('');
+    let renderNode = (name, node) => {
+        if (node.$description)
+            return `<${name} wstop:topic="true">` +
+                `<tt:MessageDescription IsProperty="true">` +
+                    `<tt:Source>${renderItems(node.$description.source)}</tt:Source>` +
+                    `<tt:Data>${renderItems(node.$description.data)}</tt:Data>` +
+                `</tt:MessageDescription>` +
+            `</${name}>`;
+        return `<${name}>` + Object.keys(node).map(child => renderNode(child, node[child])).join('') + `</${name}>`;
+    };
+
+    return `<wstop:TopicSet>` + Object.keys(tree).map(name => renderNode(name, tree[name])).join('') + `</wstop:TopicSet>`;
+}
+
+class EventService {
+    constructor(config, logger, authorize) {
+        this.config = config;
+        this.logger = logger;
+        this.authorize = authorize;
+        this.sources = [];
+        this.subscriptions = new Map(); // Random subscription id -> subscription state, so other clients can't guess the addresses
+        this.properties = new Map(); // Topic and source -> last event, replayed to new subscribers
+        this.sweepTimer = null;
+
+        let time = new Date();
+        for (let event of INITIAL_EVENTS)
+            this.properties.set(event.topic + JSON.stringify(event.source), Object.assign({ time: time }, event));
+    }
+
+    addSource(source) {
+        source.on('event', (event) => this.publish(event));
+        this.sources.push(source);
+    }
+
+    start() {
+        for (let source of this.sources)
+            source.start();
+
+        this.sweepTimer = setInterval(() => this.expireSubscriptions(), 10000);
+        this.sweepTimer.unref();
+    }
+
+    stop() {
+        for (let source of this.sources)
+            source.stop();
+
+        clearInterval(this.sweepTimer);
+        for (let id of Array.from(this.subscriptions.keys()))
+            this.removeSubscription(id);
+    }
+
+    // Publishes an event to all subscribers; events are { topic, source, data, time }
+    publish(event) {
+        let key = event.topic + JSON.stringify(event.source);
+        let previous = this.properties.get(key);
+        if (previous && JSON.stringify(previous.data) == JSON.stringify(event.data))
+            return;
+
+        this.properties.set(key, event);
+        this.logger.trace(`${this.config.name}: event ${event.topic} ${JSON.stringify(event.data)}`);
+        for (let subscription of this.subscriptions.values())
+            this.enqueue(subscription, event, previous ? 'Changed' : 'Initialized');
+    }
+
+    enqueue(subscription, event, operation) {
+        if (subscription.filter && !subscription.filter.some(topic => matchesTopic(stripTopicPrefix(event.topic), topic)))
+            return;
+
+        subscription.queue.push({ event: event, operation: operation });
+        if (subscription.queue.length > MAX_QUEUED_MESSAGES)
+            subscription.queue.shift();
+
+        // A waiting pull is answered on the next tick, so events published together (e.g. motion on several topics) stay together
+        if (subscription.waiting)
+            setImmediate(subscription.waiting);
+    }
+
+    expireSubscriptions() {
+        let now = Date.now();
+        for (let [id, subscription] of this.subscriptions)
+            if (subscription.terminationTime < now) {
+                this.logger.trace(`${this.config.name}: event subscription ${id} expired`);
+                this.removeSubscription(id);
+            }
+    }
+
+    removeSubscription(id) {
+        let subscription = this.subscriptions.get(id);
+        if (!subscription)
+            return;
+        this.subscriptions.delete(id);
+        if (subscription.waiting)
+            subscription.waiting();
+    }
+
+    getSubscription(id) {
+        this.expireSubscriptions();
+        return this.subscriptions.get(id);
+    }
+
+    getServiceUrl() {
+        return `http://${this.config.hostname}:${this.config.ports.server}/onvif/events_service`;
+    }
+
+    // Handles requests to the event service and all subscription endpoints
+    handleRequest(request, response) {
+        let path = url.parse(request.url).pathname;
+        let subscriptionMatch = /^\/onvif\/subscription\/([0-9a-f-]+)$/.exec(path);
+
+        let chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_REQUEST_SIZE)
+                return request.destroy();
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            soapEnvelope.parse(Buffer.concat(chunks).toString('utf8'))
+                .then(envelope => {
+                    let statusCode = this.authorize(envelope.operation, request, response, envelope.header.Security);
+                    if (statusCode)
+                        return this.sendFault(response, statusCode, 'Sender', 'ter:NotAuthorized', 'Sender not Authorized');
+
+                    if (subscriptionMatch)
+                        return this.handleSubscriptionRequest(subscriptionMatch[1], envelope, response);
+                    return this.handleServiceRequest(envelope, response);
+                })
+                .catch(err => {
+                    this.logger.debug(`${this.config.name}: invalid event service request: ${err.message}`);
+                    this.sendFault(response, 400, 'Sender', null, 'Invalid SOAP request');
+                });
+        });
+    }
+
+    handleServiceRequest(envelope, response) {
+        switch (envelope.operation) {
+            case 'GetServiceCapabilities':
+                return this.send(response, envelope.operation,
+                    `<tev:GetServiceCapabilitiesResponse>` +
+                        `<tev:Capabilities WSSubscriptionPolicySupport="false" WSPullPointSupport="false" WSPausableSubscriptionManagerInterfaceSupport="false" MaxNotificationProducers="0" MaxPullPoints="${MAX_SUBSCRIPTIONS}" PersistentNotificationStorage="false"/>` +
+                    `</tev:GetServiceCapabilitiesResponse>`);
+
+            case 'GetEventProperties':
+                return this.send(response, envelope.operation,
+                    `<tev:GetEventPropertiesResponse>` +
+                        `<tev:TopicNamespaceLocation>http://www.onvif.org/onvif/ver10/topics/topicns.xml</tev:TopicNamespaceLocation>` +
+                        `<wsnt:FixedTopicSet>true</wsnt:FixedTopicSet>` +
+                        renderTopicSet() +
+                        `<wsnt:TopicExpressionDialect>${TOPIC_DIALECT}</wsnt:TopicExpressionDialect>` +
+                        `<wsnt:TopicExpressionDialect>http://docs.oasis-open.org/wsn/t-1/TopicExpression/Concrete</wsnt:TopicExpressionDialect>` +
+                        `<tev:MessageContentFilterDialect>http://www.onvif.org/ver10/tev/messageContentFilter/ItemFilter</tev:MessageContentFilterDialect>` +
+                        `<tev:MessageContentSchemaLocation>http://www.onvif.org/onvif/ver10/schema/onvif.xsd</tev:MessageContentSchemaLocation>` +
+                    `</tev:GetEventPropertiesResponse>`);
+
+            case 'CreatePullPointSubscription':
+                return this.createSubscription(envelope.args || {}, response);
+
+            default:
+                return this.sendFault(response, 400, 'Receiver', 'ter:ActionNotSupported', `${envelope.operation} is not supported`);
+        }
+    }
+
+    createSubscription(args, response) {
+        this.expireSubscriptions();
+        if (this.subscriptions.size >= MAX_SUBSCRIPTIONS)
+            return this.sendFault(response, 400, 'Receiver', 'ter:Action', 'Maximum number of pull point subscriptions reached');
+
+        let now = Date.now();
+        let terminationTime = parseTerminationTime(soapEnvelope.textValue(args.InitialTerminationTime), now);
+        if (terminationTime === null || terminationTime <= now)
+            return this.sendFault(response, 400, 'Sender', 'ter:InvalidArgVal', 'Invalid InitialTerminationTime');
+
+        let filter = null;
+        let topicExpression = args.Filter && soapEnvelope.textValue(soapEnvelope.toArray(args.Filter.TopicExpression)[0]);
+        if (topicExpression)
+            filter = topicExpression.split('|').map(topic => stripTopicPrefix(topic.trim().replace(/\/\/\.$/, '')));
+
+        let id = crypto.randomUUID();
+        let subscription = {
+            id: id,
+            terminationTime: terminationTime,
+            filter: filter,
+            queue: [],
+            waiting: null
+        };
+        this.subscriptions.set(id, subscription);
+        this.synchronize(subscription);
+        this.logger.trace(`${this.config.name}: created event subscription ${id}`);
+
+        this.send(response, 'CreatePullPointSubscription',
+            `<tev:CreatePullPointSubscriptionResponse>` +
+                `<tev:SubscriptionReference>` +
+                    `<wsa:Address>http://${this.config.hostname}:${this.config.ports.server}/onvif/subscription/${id}</wsa:Address>` +
+                `</tev:SubscriptionReference>` +
+                `<wsnt:CurrentTime>${soapEnvelope.formatDateTime(new Date(now))}</wsnt:CurrentTime>` +
+                `<wsnt:TerminationTime>${soapEnvelope.formatDateTime(new Date(terminationTime))}</wsnt:TerminationTime>` +
+            `</tev:CreatePullPointSubscriptionResponse>`);
+    }
+
+    // Queues the current state of all properties, as required for new subscriptions and synchronization points
+    synchronize(subscription) {
+        for (let event of this.properties.values())
+            this.enqueue(subscription, event, 'Initialized');
+    }
+
+    handleSubscriptionRequest(id, envelope, response) {
+        let subscription = this.getSubscription(id);
+        if (!subscription)
+            return this.sendFault(response, 400, 'Sender', 'ter:InvalidArgVal', `Subscription ${id} does not exist`);
+
+        let args = envelope.args || {};
+        switch (envelope.operation) {
+            case 'PullMessages':
+                return this.pullMessages(subscription, args, response);
+
+            case 'Renew': {
+                let now = Date.now();
+                let terminationTime = parseTerminationTime(soapEnvelope.textValue(args.TerminationTime), now);
+                if (terminationTime === null || terminationTime <= now)
+                    return this.sendFault(response, 400, 'Sender', 'ter:InvalidArgVal', 'Invalid TerminationTime');
+
+                subscription.terminationTime = terminationTime;
+                return this.send(response, envelope.operation,
+                    `<wsnt:RenewResponse>` +
+                        `<wsnt:TerminationTime>${soapEnvelope.formatDateTime(new Date(terminationTime))}</wsnt:TerminationTime>` +
+                        `<wsnt:CurrentTime>${soapEnvelope.formatDateTime(new Date(now))}</wsnt:CurrentTime>` +
+                    `</wsnt:RenewResponse>`);
+            }
+
+            case 'Unsubscribe':
+                this.removeSubscription(id);
+                this.logger.trace(`${this.config.name}: removed event subscription ${id}`);
+                return this.send(response, envelope.operation, `<wsnt:UnsubscribeResponse/>`);
+
+            case 'SetSynchronizationPoint':
+                this.synchronize(subscription);
+                return this.send(response, envelope.operation, `<tev:SetSynchronizationPointResponse/>`);
+
+            default:
+                return this.sendFault(response, 400, 'Receiver', 'ter:ActionNotSupported', `${envelope.operation} is not supported`);
+        }
+    }
+
+    pullMessages(subscription, args, response) {
+        let timeout = Math.min(parseDuration(soapEnvelope.textValue(args.Timeout) || 'PT0S') || 0, MAX_PULL_TIMEOUT);
+        let limit = Math.max(parseInt(soapEnvelope.textValue(args.MessageLimit)) || 1, 1);
+
+        // Only one pull can wait at a time, a new one releases the previous
+        if (subscription.waiting)
+            subscription.waiting();
+
+        let timer = null;
+        let done = false;
+        let respond = () => {
+            if (done)
+                return;
+            done = true;
+            clearTimeout(timer);
+            if (subscription.waiting === respond)
+                subscription.waiting = null;
+
+            let now = Date.now();
+            let messages = subscription.queue.splice(0, limit);
+            this.send(response, 'PullMessages',
+                `<tev:PullMessagesResponse>` +
+                    `<tev:CurrentTime>${soapEnvelope.formatDateTime(new Date(now))}</tev:CurrentTime>` +
+                    `<tev:TerminationTime>${soapEnvelope.formatDateTime(new Date(subscription.terminationTime))}</tev:TerminationTime>` +
+                    messages.map(message => this.renderNotification(message)).join('') +
+                `</tev:PullMessagesResponse>`);
+        };
+
+        if (subscription.queue.length > 0 || timeout <= 0)
+            return respond();
+
+        subscription.waiting = respond;
+        timer = setTimeout(respond, timeout);
+        response.on('close', () => {
+            done = true;
+            clearTimeout(timer);
+            if (subscription.waiting === respond)
+                subscription.waiting = null;
+        });
+    }
+
+    renderNotification(message) {
+        let event = message.event;
+        return `<wsnt:NotificationMessage>` +
+            `<wsnt:Topic Dialect="${TOPIC_DIALECT}">${event.topic}</wsnt:Topic>` +
+            `<wsnt:Message>` +
+                `<tt:Message UtcTime="${soapEnvelope.formatDateTime(event.time)}" PropertyOperation="${message.operation}">` +
+                    `<tt:Source>${renderSimpleItems(event.source)}</tt:Source>` +
+                    `<tt:Data>${renderSimpleItems(event.data)}</tt:Data>` +
+                `</tt:Message>` +
+            `</wsnt:Message>` +
+        `</wsnt:NotificationMessage>`;
+    }
+
+    send(response, operation, body) {
+        if (response.writableEnded)
+            return;
+        response.writeHead(200, { 'Content-Type': 'application/soap+xml; charset=utf-8' });
+        response.end(soapEnvelope.create(body, `<wsa:Action>${ACTIONS[operation]}</wsa:Action>`));
+    }
+
+    sendFault(response, statusCode, code, subcode, reason) {
+        if (response.writableEnded)
+            return;
+        response.writeHead(statusCode, { 'Content-Type': 'application/soap+xml; charset=utf-8' });
+        response.end(soapEnvelope.createFault(code, subcode, reason));
+    }
+}
+
+function createEventService(config, logger, authorize) {
+    return new EventService(config, logger, authorize);
+}
+
+exports.TOPICS = TOPICS;
+exports.createEventService = createEventService;
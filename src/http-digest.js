@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+const HASH_ALGORITHMS = {
+    'MD5': 'md5',
+    'SHA-256': 'sha256'
+};
+
+function hash(algorithm, data) {
+    return crypto.createHash(HASH_ALGORITHMS[algorithm] || 'md5').update(data).digest('hex');
+}
+
+// Parses an Authorization or WWW-Authenticate header into its scheme and parameters
+function parseHeader(header) {
+    if (!header)
+        return null;
+
+    let match = /^\s*(\S+)\s*(.*)$/.exec(header);
+    if (!match)
+        return null;
+
+    let params = {};
+    let paramRegex = /([a-zA-Z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/g;
+    let param;
+    while ((param = paramRegex.exec(match[2])) !== null)
+        params[param[1].toLowerCase()] = param[2] !== undefined ? param[2].replace(/\\(.)/g, '$1') : param[3];
+
+    return {
+        scheme: match[1].toLowerCase(),
+        params: params,
+        token: match[2].trim()
+    };
+}
+
+function computeResponse(options) {
+    let algorithm = (options.algorithm || 'MD5').toUpperCase();
+    let ha1 = hash(algorithm, `${options.username}:${options.realm}:${options.password}`);
+    let ha2 = hash(algorithm, `${options.method}:${options.uri}`);
+    if (options.qop)
+        return hash(algorithm, `${ha1}:${options.nonce}:${options.nc}:${options.cnonce}:${options.qop}:${ha2}`);
+    return hash(algorithm, `${ha1}:${options.nonce}:${ha2}`);
+}
+
+function isSupportedAlgorithm(algorithm) {
+    return (algorithm || 'MD5').toUpperCase() in HASH_ALGORITHMS;
+}
+
+// Picks the strongest challenge (Digest over Basic) from a list of WWW-Authenticate header values
+function selectChallenge(headerValues) {
+    let challenges = headerValues.map(parseHeader).filter(challenge => challenge);
+    return challenges.find(challenge => challenge.scheme == 'digest' && isSupportedAlgorithm(challenge.params.algorithm)) ||
+        challenges.find(challenge => challenge.scheme == 'basic') ||
+        null;
+}
+
+// Collects all values of a header from a raw header list, as Node.js joins repeated WWW-Authenticate headers
+function getHeaderValues(rawHeaders, name) {
+    let values = [];
+    for (let i = 0; i < rawHeaders.length; i += 2)
+        if (rawHeaders[i].toLowerCase() == name.toLowerCase())
+            values.push(rawHeaders[i + 1]);
+    return values;
+}
+
+// Builds the Authorization header answering a challenge returned by selectChallenge
+function createAuthorization(challenge, options) {
+    if (challenge.scheme == 'basic')
+        return 'Basic ' + Buffer.from(`${options.username}:${options.password}`).toString('base64');
+
+    let params = challenge.params;
+    let qop = params.qop ? (params.qop.split(',').map(value => value.trim()).includes('auth') ? 'auth' : null) : null;
+    let nc = (options.nc || 1).toString(16).padStart(8, '0');
+    let cnonce = crypto.randomBytes(8).toString('hex');
+
+    let response = computeResponse({
+        algorithm: params.algorithm,
+        username: options.username,
+        realm: params.realm,
+        password: options.password,
+        method: options.method,
+        uri: options.uri,
+        nonce: params.nonce,
+        nc: nc,
+        cnonce: cnonce,
+        qop: qop
+    });
+
+    let authorization = `Digest username="${options.username}", realm="${params.realm}", nonce="${params.nonce}", uri="${options.uri}", response="${response}"`;
+    if (params.algorithm)
+        authorization += `, algorithm=${params.algorithm}`;
+    if (params.opaque !== undefined)
+        authorization += `, opaque="${params.opaque}"`;
+    if (qop)
+        authorization += `, qop=${qop}, nc=${nc}, cnonce="${cnonce}"`;
+    return authorization;
+}
+
+exports.parseHeader = parseHeader;
+exports.selectChallenge = selectChallenge;
+exports.getHeaderValues = getHeaderValues;
+exports.createAuthorization = createAuthorization;
+exports.computeResponse = computeResponse;
+exports.isSupportedAlgorithm = isSupportedAlgorithm;
@@ -0,0 +1,76 @@
+const mqtt = require('mqtt');
+
+// Feeds triggers received on an MQTT topic into a trigger event source
+class MqttTrigger {
+    constructor(config, logger, triggerSource, connect = mqtt.connect) {
+        this.config = config;
+        this.logger = logger;
+        this.triggerSource = triggerSource;
+        this.connect = connect;
+        this.options = this.config.events.mqtt;
+        this.client = null;
+    }
+
+    start() {
+        let options = {};
+        if (this.options.username) {
+            options.username = this.options.username;
+            options.password = this.options.password;
+        }
+
+        this.client = this.connect(this.options.url, options);
+        this.client.on('connect', () => {
+            this.logger.trace(`MQTT trigger for ${this.config.name} connected to ${this.options.url}`);
+            this.client.subscribe(this.options.topic, (err) => {
+                if (err)
+                    this.logger.error(`Failed to subscribe to MQTT topic ${this.options.topic} for ${this.config.name}:`, err);
+            });
+        });
+        this.client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+        this.client.on('error', (err) => {
+            this.logger.error(`MQTT trigger error for ${this.config.name}:`, err);
+        });
+    }
+
+    stop() {
+        if (this.client) {
+            this.client.end(true);
+            this.client = null;
+        }
+    }
+
+    // Accepts the same JSON triggers as the webhook, plain ON/OFF payloads, or 'motion' for a single trigger using the hold time
+    parsePayload(payload) {
+        let text = payload.toString().trim();
+        if (text.toLowerCase() == 'motion')
+            return { type: 'motion' };
+        if (['on', 'true', '1'].includes(text.toLowerCase()))
+            return { type: 'motion', state: true };
+        if (['off', 'false', '0'].includes(text.toLowerCase()))
+            return { type: 'motion', state: false };
+        return JSON.parse(text);
+    }
+
+    handleMessage(topic, payload) {
+        let trigger;
+        try {
+            trigger = this.parsePayload(payload);
+        } catch (err) {
+            this.logger.debug(`Ignoring invalid MQTT payload on ${topic} for ${this.config.name}`);
+            return;
+        }
+
+        let error = this.triggerSource.validate(trigger);
+        if (error) {
+            this.logger.debug(`Ignoring MQTT trigger on ${topic} for ${this.config.name}: ${error}`);
+            return;
+        }
+        this.triggerSource.trigger(trigger);
+    }
+}
+
+function createMqttTrigger(config, logger, triggerSource, connect) {
+    return new MqttTrigger(config, logger, triggerSource, connect);
+}
+
+exports.createMqttTrigger = createMqttTrigger;
@@ -0,0 +1,140 @@
+const net = require('net');
+
+const MAC_REGEX = /^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/i;
+const IP = '/usr/sbin/ip';
+const SYSCTL = '/usr/sbin/sysctl';
+
+// Without these, Linux answers ARP requests for all virtual interfaces with the MAC address of the parent interface
+const ARP_SETTINGS = [
+    'net.ipv4.conf.all.arp_ignore=1',
+    'net.ipv4.conf.all.arp_announce=2'
+];
+
+function parseIpv4(address) {
+    return address.split('.').reduce((result, octet) => result * 256 + parseInt(octet), 0);
+}
+
+function formatIpv4(value) {
+    return [24, 16, 8, 0].map(shift => Math.floor(value / Math.pow(2, shift)) % 256).join('.');
+}
+
+function isInterfaceName(name) {
+    return /^[A-Za-z0-9_.-]{1,15}$/.test(name);
+}
+
+// Checks a start address for static IPs like 192.168.1.184/24
+function isStaticIp(value) {
+    let match = /^([^/]+)\/(\d+)$/.exec(value || '');
+    return !!match && net.isIPv4(match[1]) && parseInt(match[2]) >= 1 && parseInt(match[2]) <= 32;
+}
+
+// Returns a MACVLAN interface for every camera with a MAC address, numbering them by their position in the config so that
+// interface names and static IPs stay the same when cameras are added to the end of the config
+function getInterfaces(config, options) {
+    let interfaces = [];
+    let staticIp = options.staticIp && /^([^/]+)\/(\d+)$/.exec(options.staticIp);
+    (config.onvif || []).forEach((camera, index) => {
+        if (!camera || !MAC_REGEX.test(camera.mac || ''))
+            return;
+        let networkInterface = {
+            name: `${options.namePrefix || 'onvif-proxy-'}${index + 1}`,
+            camera: String(camera.name).replace(/\s+/g, ' '),
+            mac: camera.mac.toLowerCase()
+        };
+        if (staticIp)
+            networkInterface.address = `${formatIpv4(parseIpv4(staticIp[1]) + index)}/${staticIp[2]}`;
+        interfaces.push(networkInterface);
+    });
+    return interfaces;
+}
+
+function getCommands(config, options) {
+    let parent = options.parent || 'eth0';
+    let interfaces = getInterfaces(config, options);
+    let commands = { up: [], down: [], interfaces: interfaces };
+
+    for (let networkInterface of interfaces)
+        commands.up.push({
+            comment: networkInterface.camera,
+            command: `${IP} link add ${networkInterface.name} link ${parent} address ${networkInterface.mac} type macvlan mode bridge`
+        });
+    for (let networkInterface of interfaces)
+        if (networkInterface.address)
+            commands.up.push({ command: `${IP} addr add ${networkInterface.address} dev ${networkInterface.name}` });
+    for (let networkInterface of interfaces)
+        commands.up.push({ command: `${IP} link set ${networkInterface.name} up` });
+    for (let networkInterface of interfaces)
+        commands.down.push({ command: `${IP} link delete ${networkInterface.name}` });
+    return commands;
+}
+
+// Creates an onvif-virtual-network.service that sets up the MACVLAN interfaces of the config's cameras
+function createSystemdUnit(config, options) {
+    options = options || {};
+    let commands = getCommands(config, options);
+    let lines = [
+        '[Unit]',
+        'Description=ONVIF Virtual Network Setup',
+        'After=network-online.target',
+        'Wants=network-online.target',
+        '',
+        '[Service]',
+        'Type=oneshot',
+        'RemainAfterExit=yes',
+        '',
+        '# Configure ARP settings'
+    ];
+    for (let setting of ARP_SETTINGS)
+        lines.push(`ExecStart=${SYSCTL} -w ${setting}`);
+    lines.push('', '# Create virtual network interfaces with unique MAC addresses');
+    for (let step of commands.up) {
+        if (step.comment)
+            lines.push(`# ${step.comment}`);
+        lines.push(`ExecStart=${step.command}`);
+    }
+    // Deleting is allowed to fail, e.g. if an interface was removed by hand
+    lines.push('', '# Cleanup on stop - delete the virtual interfaces');
+    for (let step of commands.down)
+        lines.push(`ExecStop=-${step.command}`);
+    lines.push('', '[Install]', 'WantedBy=multi-user.target', '');
+    return { source: lines.join('\n'), interfaces: commands.interfaces };
+}
+
+// Creates a shell script that sets up the MACVLAN interfaces with "up" and removes them with "down"
+function createShellScript(config, options) {
+    options = options || {};
+    let commands = getCommands(config, options);
+    let lines = [
+        '#!/bin/sh',
+        '# Sets up the virtual network interfaces of the ONVIF virtual cameras',
+        '',
+        'case "${1:-up}" in',
+        '  up)',
+        '    set -e'
+    ];
+    for (let setting of ARP_SETTINGS)
+        lines.push(`    ${SYSCTL} -w ${setting}`);
+    for (let step of commands.up) {
+        if (step.comment)
+            lines.push(`    # ${step.comment}`);
+        lines.push(`    ${step.command}`);
+    }
+    lines.push('    ;;', '  down)');
+    for (let step of commands.down)
+        lines.push(`    ${step.command} || true`);
+    lines.push(
+        '    ;;',
+        '  *)',
+        '    echo "Usage: $0 [up|down]" >&2',
+        '    exit 1',
+        '    ;;',
+        'esac',
+        ''
+    );
+    return { source: lines.join('\n'), interfaces: commands.interfaces };
+}
+
+exports.isInterfaceName = isInterfaceName;
+exports.isStaticIp = isStaticIp;
+exports.createSystemdUnit = createSystemdUnit;
+exports.createShellScript = createShellScript;
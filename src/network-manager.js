@@ -0,0 +1,104 @@
+const childProcess = require('child_process');
+const os = require('os');
+
+const DEFAULT_PARENT = 'eth0';
+
+// Runs an ip command like ip link add ..., resolving to its output
+function runIp(args) {
+    return new Promise((resolve, reject) => {
+        childProcess.execFile('ip', args, (err, stdout, stderr) => {
+            if (err)
+                return reject(new Error(`ip ${args.join(' ')} failed: ${(stderr || err.message).trim()}`));
+            resolve(stdout);
+        });
+    });
+}
+
+// Interface names are limited to 15 characters, so they are derived from the MAC address, e.g. ov-a2a2a2a2a201
+function getInterfaceName(macAddress) {
+    return `ov-${macAddress.replace(/:/g, '').toLowerCase()}`;
+}
+
+// Parses the output of ip -o link show into { name, mac } entries
+function parseLinks(output) {
+    let links = [];
+    for (let line of output.split('\n')) {
+        let match = /^\d+:\s+([^:@\s]+)(?:@\S+)?:.*\slink\/ether\s+([0-9a-f:]{17})/i.exec(line);
+        if (match)
+            links.push({ name: match[1], mac: match[2].toLowerCase() });
+    }
+    return links;
+}
+
+// Creates the MACVLAN interfaces of cameras with a MAC address if the config asks for it and looks up their IPv4 addresses.
+// The ip commands go through an executor (args -> Promise of the output), so they can be replaced.
+class NetworkManager {
+    constructor(logger, options) {
+        options = options || {};
+        this.logger = logger;
+        this.executor = options.executor || runIp;
+        this.getNetworkInterfaces = options.getNetworkInterfaces || os.networkInterfaces;
+        this.settings = {};
+        this.created = new Map(); // MAC address -> name of an interface created by us
+    }
+
+    // Applies the network settings of the config
+    configure(settings) {
+        this.settings = settings || {};
+    }
+
+    isManaged() {
+        return !!this.settings.managed;
+    }
+
+    // Returns the IPv4 address of the interface with the MAC address or null if it has none (yet)
+    getAddress(macAddress) {
+        let networkInterfaces = this.getNetworkInterfaces();
+        for (let name in networkInterfaces)
+            for (let network of networkInterfaces[name])
+                if (network.family == 'IPv4' && network.mac.toLowerCase() == macAddress.toLowerCase())
+                    return network.address;
+        return null;
+    }
+
+    // Makes sure a MACVLAN interface with the MAC address exists and is up, reusing interfaces that were set up by hand.
+    // Resolves to the name of the interface, or undefined if the network isn't managed.
+    async ensureInterface(macAddress) {
+        if (!this.isManaged())
+            return;
+
+        let mac = macAddress.toLowerCase();
+        let link = parseLinks(await this.executor(['-o', 'link', 'show'])).find(link => link.mac == mac);
+        let name = link ? link.name : getInterfaceName(mac);
+        if (!link) {
+            let parent = this.settings.interface || DEFAULT_PARENT;
+            this.logger.info(`Creating virtual network interface ${name} with MAC address ${mac} on ${parent} ...`);
+            await this.executor(['link', 'add', name, 'link', parent, 'address', mac, 'type', 'macvlan', 'mode', 'bridge']);
+            this.created.set(mac, name);
+        }
+        await this.executor(['link', 'set', name, 'up']);
+        return name;
+    }
+
+    // Deletes the interface of a removed camera, but only if it was created by us
+    async releaseInterface(macAddress) {
+        let mac = macAddress.toLowerCase();
+        let name = this.created.get(mac);
+        if (!name)
+            return;
+
+        this.created.delete(mac);
+        this.logger.info(`Deleting virtual network interface ${name}`);
+        try {
+            await this.executor(['link', 'delete', name]);
+        } catch (err) {
+            this.logger.error(err.message);
+        }
+    }
+}
+
+function createNetworkManager(logger, options) {
+    return new NetworkManager(logger, options);
+}
+
+exports.createNetworkManager = createNetworkManager;
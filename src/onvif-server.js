@@ -6,6 +6,41 @@ const uuid = require('node-uuid');
 const url = require('url');
 const fs = require('fs');
 const os = require('os');
+const dns = require('dns');
+const net = require('net');
+const authenticator = require('./authenticator');
+const snapshotProxy = require('./snapshot-proxy');
+const upstreamDevice = require('./upstream-device');
+const eventService = require('./event-service');
+const upstreamEventSource = require('./upstream-event-source');
+const triggerEventSource = require('./trigger-event-source');
+const mqttTrigger = require('./mqtt-trigger');
+const soapEnvelope = require('./soap-envelope');
+
+const MAX_TRIGGER_SIZE = 64 * 1024;
+const MAX_DISCOVERY_SIZE = 64 * 1024;
+
+// Media2 names encodings by their MIME subtype and uses its own encoder profile names
+const MEDIA2_ENCODINGS = { H264: 'H264', H265: 'H265', MPEG4: 'MPV4-ES' };
+const MEDIA2_PROFILES = { SP: 'Simple', ASP: 'AdvancedSimple' };
+const MEDIA2_DEFAULT_PROFILES = { H264: 'Main', H265: 'Main', MPEG4: 'Simple' };
+const MEDIA2_AUDIO_ENCODINGS = { G711: 'PCMU', G726: 'G726', AAC: 'MP4A-LATM' };
+
+// Bitrates in kbps and sample rates in kHz of audio settings that don't specify them
+const AUDIO_DEFAULTS = {
+    G711: { bitrate: 64, sampleRate: 8 },
+    G726: { bitrate: 32, sampleRate: 8 },
+    AAC: { bitrate: 64, sampleRate: 16 }
+};
+
+// Operations that the ONVIF core specification allows without authentication
+const PRE_AUTH_OPERATIONS = [
+    'GetSystemDateAndTime',
+    'GetWsdlUrl',
+    'GetServices',
+    'GetServiceCapabilities',
+    'GetEndpointReference'
+];
 
 Date.prototype.stdTimezoneOffset = function() {
     let jan = new Date(this.getFullYear(), 0, 1);
@@ -17,12 +52,140 @@ Date.prototype.isDstObserved = function() {
     return this.getTimezoneOffset() < this.stdTimezoneOffset();
 }
 
-function getIpAddressFromMac(macAddress) {
+// Builds a fault the soap module sends as is, with ONVIF error subcodes like ['ter:InvalidArgVal', 'ter:NoProfile']
+function createFault(code, subcodes, reason, statusCode = 400) {
+    let subcode = subcodes.reduceRight((inner, value) => {
+        let result = { Value: { attributes: { 'xmlns:ter': 'http://www.onvif.org/ver10/error' }, $value: value } };
+        if (inner)
+            result.Subcode = inner;
+        return result;
+    }, null);
+
+    let fault = {
+        Code: { Value: `soap:${code}` },
+        Reason: { Text: reason },
+        statusCode: statusCode
+    };
+    if (subcode)
+        fault.Code.Subcode = subcode;
+    return { Fault: fault };
+}
+
+function toScopeList(value) {
+    return soapEnvelope.toArray(value).map(scope => soapEnvelope.textValue(scope)).filter(scope => scope);
+}
+
+// Returns the configured streams, where highQuality and lowQuality are a shorthand for the main_stream and sub_stream profiles
+function getStreams(config) {
+    if (config.profiles)
+        return config.profiles.map((profile, index) => Object.assign({
+            name: profile.token,
+            quality: index == 0 ? 4 : 1,
+            encoderToken: `encoder_${profile.token}`,
+            encoderName: `${profile.name || profile.token}Encoder`
+        }, profile));
+
+    let streams = [
+        Object.assign({
+            token: 'main_stream',
+            name: 'MainStream',
+            quality: 4,
+            encoderToken: 'encoder_hq_config_token',
+            encoderName: 'CardinalHqCameraConfiguration'
+        }, config.highQuality)
+    ];
+    if (config.lowQuality)
+        streams.push(Object.assign({
+            token: 'sub_stream',
+            name: 'SubStream',
+            quality: 1,
+            encoderToken: 'encoder_lq_config_token',
+            encoderName: 'CardinalLqCameraConfiguration'
+        }, config.lowQuality));
+    return streams;
+}
+
+function createVideoEncoderConfig(stream) {
+    const encoding = stream.encoding || 'H264';
+    let config = {
+        attributes: {
+            token: stream.encoderToken
+        },
+        Name: stream.encoderName,
+        UseCount: 1,
+        Encoding: encoding,
+        Resolution: {
+            Width: stream.width,
+            Height: stream.height
+        },
+        Quality: stream.quality,
+        RateControl: {
+            FrameRateLimit: stream.framerate,
+            EncodingInterval: stream.encodingInterval || 1,
+            BitrateLimit: stream.bitrate
+        },
+        SessionTimeout: 'PT1000S'
+    };
+
+    // Add codec-specific configuration
+    if (encoding === 'H264') {
+        config.H264 = {
+            GovLength: stream.govLength || stream.framerate,
+            H264Profile: stream.profile || 'Main'
+        };
+    } else if (encoding === 'MPEG4') {
+        config.MPEG4 = {
+            GovLength: stream.govLength || stream.framerate,
+            Mpeg4Profile: stream.profile || 'SP'
+        };
+    } else if (encoding === 'H265') {
+        // For H265, use Profile T style (generic fields) even though we're in Profile S
+        // This is a vendor extension approach
+        config.GovLength = stream.govLength || stream.framerate;
+        config.Profile = stream.profile || 'Main';
+    }
+    return config;
+}
+
+function getAudioSettings(audio) {
+    return Object.assign({}, AUDIO_DEFAULTS[audio.encoding], audio);
+}
+
+function createAudioEncoderConfig(stream) {
+    let audio = getAudioSettings(stream.audio);
+    return {
+        attributes: {
+            token: `audio_${stream.encoderToken}`
+        },
+        Name: `${stream.encoderName}Audio`,
+        UseCount: 1,
+        Encoding: audio.encoding,
+        Bitrate: audio.bitrate,
+        SampleRate: audio.sampleRate,
+        SessionTimeout: 'PT1000S'
+    };
+}
+
+// Answers operations the WSDL defines but the server doesn't implement with ter:ActionNotSupported
+function withUnsupportedOperations(port) {
+    return new Proxy(port, {
+        get: (target, operation) => {
+            if (operation in target || typeof operation !== 'string' || !/^[A-Z]/.test(operation))
+                return target[operation];
+            return () => {
+                throw createFault('Receiver', ['ter:ActionNotSupported'], `${operation} is not supported by this device`, 500);
+            };
+        }
+    });
+}
+
+// Returns the name and os.networkInterfaces() entry of the IPv4 interface with a MAC address or IP address
+function findNetworkInterface(macAddress, address) {
     let networkInterfaces = os.networkInterfaces();
-    for (let interface in networkInterfaces)
-        for (let network of networkInterfaces[interface])
-            if (network.family == 'IPv4' && network.mac.toLowerCase() == macAddress.toLowerCase())
-                return network.address;
+    for (let name in networkInterfaces)
+        for (let network of networkInterfaces[name])
+            if (network.family == 'IPv4' && (address ? network.address == address : network.mac.toLowerCase() == macAddress.toLowerCase()))
+                return { name: name, network: network };
     return null;
 }
 
@@ -31,9 +194,41 @@ class OnvifServer {
         this.config = config;
         this.logger = logger;
         this.useDirectUrls = useDirectUrls;
+        this.discovery = null;
+
+        let defaultId = this.config.name.replace(' ', '_');
+        this.identity = Object.assign({
+            manufacturer: 'Onvif',
+            model: 'Cardinal',
+            firmwareVersion: '1.0.0',
+            serialNumber: `${defaultId}-0000`,
+            hardwareId: `${defaultId}-1001`
+        }, this.config.identity);
+
+        // Configurable scopes can be changed by clients until the server restarts
+        this.scopes = this.config.scopes ? this.config.scopes.slice() : [
+            `onvif://www.onvif.org/name/${encodeURIComponent(this.identity.model)}`,
+            'onvif://www.onvif.org/location/'
+        ];
+        this.metadataVersion = 1;
+
+        this.authenticator = authenticator.createAuthenticator(this.config, this.logger);
+        this.snapshotProxy = snapshotProxy.createSnapshotProxy(this.config, this.logger);
+        this.upstream = upstreamDevice.createUpstreamDevice(this.config, this.logger);
+        this.eventService = eventService.createEventService(this.config, this.logger,
+            (operation, request, response, security) => this.checkAuthorization(operation, request, response, security));
 
+        if (this.config.events && this.config.events.upstream)
+            this.eventService.addSource(upstreamEventSource.createUpstreamEventSource(this.config, this.logger, this.upstream));
+
+        this.triggerSource = triggerEventSource.createTriggerEventSource(this.config, this.logger);
+        if (this.config.events && this.config.events.mqtt)
+            this.triggerSource.addInput(mqttTrigger.createMqttTrigger(this.config, this.logger, this.triggerSource));
+        this.eventService.addSource(this.triggerSource);
+
+        this.networkInterface = findNetworkInterface(this.config.mac, this.config.hostname);
         if (!this.config.hostname)
-            this.config.hostname = getIpAddressFromMac(this.config.mac);
+            this.config.hostname = this.networkInterface ? this.networkInterface.network.address : null;
 
         // Set default ports if not specified
         if (!this.config.ports)
@@ -51,138 +246,109 @@ class OnvifServer {
                 this.config.target.ports.rtsp = 554;
         }
 
-        // Set default quality values if not specified
-        if (this.config.highQuality && this.config.highQuality.quality === undefined)
-            this.config.highQuality.quality = 4;
-        if (this.config.lowQuality && this.config.lowQuality.quality === undefined)
-            this.config.lowQuality.quality = 1;
+        // Every stream becomes a media profile sharing the single video source
+        this.streams = getStreams(this.config);
+        let mainStream = this.streams[0];
 
         this.videoSource = {
             attributes: {
                 token: 'video_src_token'
             },
-            Framerate: this.config.highQuality.framerate,
-            Resolution: { Width: this.config.highQuality.width, Height: this.config.highQuality.height }
+            Framerate: mainStream.framerate,
+            Resolution: { Width: mainStream.width, Height: mainStream.height }
         };
-    
-        // Build MainStream profile with configurable encoding parameters
-        const mainStreamEncoderConfig = {
+
+        const videoSourceConfig = {
+            Name: 'VideoSource',
+            UseCount: this.streams.length,
             attributes: {
-                token: 'encoder_hq_config_token'
-            },
-            Name: 'CardinalHqCameraConfiguration',
-            UseCount: 1,
-            Encoding: this.config.highQuality.encoding || 'H264',
-            Resolution: {
-                Width: this.config.highQuality.width,
-                Height: this.config.highQuality.height
-            },
-            Quality: this.config.highQuality.quality,
-            RateControl: {
-                FrameRateLimit: this.config.highQuality.framerate,
-                EncodingInterval: this.config.highQuality.encodingInterval || 1,
-                BitrateLimit: this.config.highQuality.bitrate
+                token: 'video_src_config_token'
             },
-            SessionTimeout: 'PT1000S'
+            SourceToken: 'video_src_token',
+            Bounds: { attributes: { x: 0, y: 0, width: mainStream.width, height: mainStream.height } }
         };
 
-        // Add codec-specific configuration
-        const encoding = this.config.highQuality.encoding || 'H264';
-        if (encoding === 'H264') {
-            mainStreamEncoderConfig.H264 = {
-                GovLength: this.config.highQuality.govLength || this.config.highQuality.framerate,
-                H264Profile: this.config.highQuality.profile || 'Main'
-            };
-        } else if (encoding === 'MPEG4') {
-            mainStreamEncoderConfig.MPEG4 = {
-                GovLength: this.config.highQuality.govLength || this.config.highQuality.framerate,
-                Mpeg4Profile: this.config.highQuality.profile || 'SP'
-            };
-        } else if (encoding === 'H265') {
-            // For H265, use Profile T style (generic fields) even though we're in Profile S
-            // This is a vendor extension approach
-            mainStreamEncoderConfig.GovLength = this.config.highQuality.govLength || this.config.highQuality.framerate;
-            mainStreamEncoderConfig.Profile = this.config.highQuality.profile || 'Main';
-        }
-
-        this.profiles = [
+        // Streams carrying audio share a single audio source
+        let audioStreams = this.streams.filter(stream => stream.audio);
+        this.audioSources = audioStreams.length == 0 ? [] : [
             {
-                Name: 'MainStream',
                 attributes: {
-                    token: 'main_stream'
-                },
-                VideoSourceConfiguration: {
-                    Name: 'VideoSource',
-                    UseCount: 2,
-                    attributes: {
-                        token: 'video_src_config_token'
-                    },
-                    SourceToken: 'video_src_token',
-                    Bounds: { attributes: { x: 0, y: 0, width: this.config.highQuality.width, height: this.config.highQuality.height } }
+                    token: 'audio_src_token'
                 },
-                VideoEncoderConfiguration: mainStreamEncoderConfig
+                Channels: 1
             }
         ];
 
-        if (this.config.lowQuality) {
-            // Build SubStream profile with configurable encoding parameters
-            const subStreamEncoderConfig = {
+        const audioSourceConfig = {
+            Name: 'AudioSource',
+            UseCount: audioStreams.length,
+            attributes: {
+                token: 'audio_src_config_token'
+            },
+            SourceToken: 'audio_src_token'
+        };
+
+        this.profiles = this.streams.map(stream => {
+            // Keep the element order of the schema, where audio configurations follow the video ones
+            let profile = {
+                Name: stream.name,
                 attributes: {
-                    token: 'encoder_lq_config_token'
-                },
-                Name: 'CardinalLqCameraConfiguration',
-                UseCount: 1,
-                Encoding: this.config.lowQuality.encoding || 'H264',
-                Resolution: {
-                    Width: this.config.lowQuality.width,
-                    Height: this.config.lowQuality.height
+                    token: stream.token
                 },
-                Quality: this.config.lowQuality.quality,
-                RateControl: {
-                    FrameRateLimit: this.config.lowQuality.framerate,
-                    EncodingInterval: this.config.lowQuality.encodingInterval || 1,
-                    BitrateLimit: this.config.lowQuality.bitrate
-                },
-                SessionTimeout: 'PT1000S'
+                VideoSourceConfiguration: videoSourceConfig
             };
+            if (stream.audio)
+                profile.AudioSourceConfiguration = audioSourceConfig;
+            profile.VideoEncoderConfiguration = createVideoEncoderConfig(stream);
+            if (stream.audio)
+                profile.AudioEncoderConfiguration = createAudioEncoderConfig(stream);
+            return profile;
+        });
 
-            // Add codec-specific configuration
-            const subEncoding = this.config.lowQuality.encoding || 'H264';
-            if (subEncoding === 'H264') {
-                subStreamEncoderConfig.H264 = {
-                    GovLength: this.config.lowQuality.govLength || this.config.lowQuality.framerate,
-                    H264Profile: this.config.lowQuality.profile || 'Main'
-                };
-            } else if (subEncoding === 'MPEG4') {
-                subStreamEncoderConfig.MPEG4 = {
-                    GovLength: this.config.lowQuality.govLength || this.config.lowQuality.framerate,
-                    Mpeg4Profile: this.config.lowQuality.profile || 'SP'
+        // Profiles can only reference the upstream PTZ configuration if we know its tokens
+        if (this.config.ptz && this.config.ptz.configurationToken && this.config.ptz.nodeToken) {
+            for (let profile of this.profiles)
+                profile.PTZConfiguration = {
+                    attributes: {
+                        token: this.config.ptz.configurationToken
+                    },
+                    Name: 'PTZConfiguration',
+                    UseCount: this.profiles.length,
+                    NodeToken: this.config.ptz.nodeToken
                 };
-            } else if (subEncoding === 'H265') {
-                // For H265, use Profile T style (generic fields) even though we're in Profile S
-                // This is a vendor extension approach
-                subStreamEncoderConfig.GovLength = this.config.lowQuality.govLength || this.config.lowQuality.framerate;
-                subStreamEncoderConfig.Profile = this.config.lowQuality.profile || 'Main';
-            }
+        }
 
-            this.profiles.push(
-                {
-                    Name: 'SubStream',
-                    attributes: {
-                        token: 'sub_stream'
-                    },
-                    VideoSourceConfiguration: {
-                        Name: 'VideoSource',
-                        UseCount: 2,
-                        attributes: {
-                            token: 'video_src_config_token'
-                        },
-                        SourceToken: 'video_src_token',
-                        Bounds: { attributes: { x: 0, y: 0, width: this.config.highQuality.width, height: this.config.highQuality.height } }
-                    },
-                    VideoEncoderConfiguration: subStreamEncoderConfig
+        // Two-way audio cameras receive audio from clients through the RTSP backchannel of every profile
+        this.audioOutputs = [];
+        if (this.config.audioOutput) {
+            this.audioOutputs.push({
+                attributes: {
+                    token: 'audio_out_token'
                 }
-            );
+            });
+
+            const audioOutputConfig = {
+                Name: 'AudioOutput',
+                UseCount: this.profiles.length,
+                attributes: {
+                    token: 'audio_out_config_token'
+                },
+                OutputToken: 'audio_out_token',
+                SendPrimacy: 'www.onvif.org/ver20/HalfDuplex/Auto',
+                OutputLevel: 100
+            };
+            const audioDecoderConfig = {
+                Name: 'AudioDecoder',
+                UseCount: this.profiles.length,
+                attributes: {
+                    token: 'audio_dec_config_token'
+                }
+            };
+            for (let profile of this.profiles)
+                profile.Extension = {
+                    AudioOutputConfiguration: audioOutputConfig,
+                    AudioDecoderConfiguration: audioDecoderConfig
+                };
         }
         
         this.onvif = {
@@ -236,8 +402,8 @@ class OnvifServer {
                                     }
                                 },
                                 System: {
-                                    DiscoveryResolve: false,
-                                    DiscoveryBye: false,
+                                    DiscoveryResolve: true,
+                                    DiscoveryBye: true,
                                     RemoteDiscovery: false,
                                     SystemBackup: false,
                                     SystemLogging: false,
@@ -299,43 +465,259 @@ class OnvifServer {
                                 }
                             }
                         }
+                        if (args.Category === undefined || args.Category == 'All' || args.Category == 'Events') {
+                            response.Capabilities['Events'] = {
+                                XAddr: `http://${this.config.hostname}:${this.config.ports.server}/onvif/events_service`,
+                                WSSubscriptionPolicySupport: false,
+                                WSPullPointSupport: false,
+                                WSPausableSubscriptionManagerInterfaceSupport: false
+                            };
+                        }
+                        if (this.config.ptz && (args.Category === undefined || args.Category == 'All' || args.Category == 'PTZ')) {
+                            response.Capabilities['PTZ'] = {
+                                XAddr: `http://${this.config.hostname}:${this.config.ports.server}/onvif/ptz_service`
+                            };
+                        }
 
                         return response;
                     },
         
                     GetServices: (args) => {
+                        let services = [
+                            {
+                                Namespace : 'http://www.onvif.org/ver10/device/wsdl',
+                                XAddr : `http://${this.config.hostname}:${this.config.ports.server}/onvif/device_service`,
+                                Version : { 
+                                    Major : 2,
+                                    Minor : 5,
+                                }
+                            },
+                            { 
+                                Namespace : 'http://www.onvif.org/ver10/media/wsdl',
+                                XAddr : `http://${this.config.hostname}:${this.config.ports.server}/onvif/media_service`,
+                                Version : { 
+                                    Major : 2,
+                                    Minor : 5,
+                                }
+                            },
+                            {
+                                Namespace : 'http://www.onvif.org/ver20/media/wsdl',
+                                XAddr : `http://${this.config.hostname}:${this.config.ports.server}/onvif/media2_service`,
+                                Version : {
+                                    Major : 2,
+                                    Minor : 5,
+                                }
+                            },
+                            {
+                                Namespace : 'http://www.onvif.org/ver10/events/wsdl',
+                                XAddr : `http://${this.config.hostname}:${this.config.ports.server}/onvif/events_service`,
+                                Version : {
+                                    Major : 2,
+                                    Minor : 5,
+                                }
+                            }
+                        ];
+
+                        if (this.config.ptz)
+                            services.push({
+                                Namespace : 'http://www.onvif.org/ver20/ptz/wsdl',
+                                XAddr : `http://${this.config.hostname}:${this.config.ports.server}/onvif/ptz_service`,
+                                Version : {
+                                    Major : 2,
+                                    Minor : 5,
+                                }
+                            });
+
+                        return {
+                            Service : services
+                        };
+                    },
+                
+                    GetDeviceInformation: (args) => {
+                        return {
+                            Manufacturer: this.identity.manufacturer,
+                            Model: this.identity.model,
+                            FirmwareVersion: this.identity.firmwareVersion,
+                            SerialNumber: this.identity.serialNumber,
+                            HardwareId: this.identity.hardwareId
+                        };
+                    },
+
+                    GetScopes: (args) => {
+                        return {
+                            Scopes: this.getFixedScopes().map(scope => ({ ScopeDef: 'Fixed', ScopeItem: scope }))
+                                .concat(this.scopes.map(scope => ({ ScopeDef: 'Configurable', ScopeItem: scope })))
+                        };
+                    },
+
+                    SetScopes: (args) => {
+                        let scopes = toScopeList(args.Scopes);
+                        if (scopes.some(scope => this.getFixedScopes().includes(scope)))
+                            throw createFault('Sender', ['ter:OperationProhibited', 'ter:ScopeOverwrite'], 'Fixed scopes cannot be overwritten');
+                        this.setScopes(scopes);
+                        return {};
+                    },
+
+                    AddScopes: (args) => {
+                        let scopes = toScopeList(args.ScopeItem).filter(scope => !this.scopes.includes(scope));
+                        if (scopes.some(scope => this.getFixedScopes().includes(scope)))
+                            throw createFault('Sender', ['ter:OperationProhibited', 'ter:ScopeOverwrite'], 'Fixed scopes cannot be overwritten');
+                        if (scopes.length > 0)
+                            this.setScopes(this.scopes.concat(scopes));
+                        return {};
+                    },
+
+                    RemoveScopes: (args) => {
+                        let scopes = toScopeList(args.ScopeItem);
+                        if (scopes.some(scope => this.getFixedScopes().includes(scope)))
+                            throw createFault('Sender', ['ter:OperationProhibited', 'ter:FixedScope'], 'Fixed scopes cannot be removed');
+                        if (scopes.some(scope => !this.scopes.includes(scope)))
+                            throw createFault('Sender', ['ter:InvalidArgVal', 'ter:NoScope'], 'The scope does not exist');
+                        this.setScopes(this.scopes.filter(scope => !scopes.includes(scope)));
+                        return { ScopeItem: scopes };
+                    },
+
+                    GetServiceCapabilities: (args) => {
                         return {
-                            Service : [
-                                {
-                                    Namespace : 'http://www.onvif.org/ver10/device/wsdl',
-                                    XAddr : `http://${this.config.hostname}:${this.config.ports.server}/onvif/device_service`,
-                                    Version : { 
-                                        Major : 2,
-                                        Minor : 5,
+                            Capabilities: {
+                                Network: {
+                                    attributes: {
+                                        IPFilter: false,
+                                        ZeroConfiguration: false,
+                                        IPVersion6: false,
+                                        DynDNS: false,
+                                        Dot11Configuration: false,
+                                        HostnameFromDHCP: false,
+                                        NTP: 0
                                     }
                                 },
-                                { 
-                                    Namespace : 'http://www.onvif.org/ver10/media/wsdl',
-                                    XAddr : `http://${this.config.hostname}:${this.config.ports.server}/onvif/media_service`,
-                                    Version : { 
-                                        Major : 2,
-                                        Minor : 5,
+                                Security: {
+                                    attributes: {
+                                        'TLS1.0': false,
+                                        'TLS1.1': false,
+                                        'TLS1.2': false,
+                                        OnboardKeyGeneration: false,
+                                        AccessPolicyConfig: false,
+                                        DefaultAccessPolicy: false,
+                                        Dot1X: false,
+                                        RemoteUserHandling: false,
+                                        'X.509Token': false,
+                                        SAMLToken: false,
+                                        KerberosToken: false,
+                                        UsernameToken: this.authenticator.allowsWsSecurity(),
+                                        HttpDigest: this.authenticator.allowsDigest(),
+                                        RELToken: false
+                                    }
+                                },
+                                System: {
+                                    attributes: {
+                                        DiscoveryResolve: true,
+                                        DiscoveryBye: true,
+                                        RemoteDiscovery: false,
+                                        SystemBackup: false,
+                                        SystemLogging: false,
+                                        FirmwareUpgrade: false,
+                                        HttpFirmwareUpgrade: false,
+                                        HttpSystemBackup: false,
+                                        HttpSystemLogging: false,
+                                        HttpSupportInformation: false
                                     }
                                 }
+                            }
+                        };
+                    },
+
+                    GetWsdlUrl: (args) => {
+                        return {
+                            WsdlUrl: 'http://www.onvif.org/Documents/Specifications.aspx'
+                        };
+                    },
+
+                    GetHostname: (args) => {
+                        return {
+                            HostnameInformation: {
+                                FromDHCP: false,
+                                Name: this.config.name.replace(/[^A-Za-z0-9-]/g, '-')
+                            }
+                        };
+                    },
+
+                    GetDNS: (args) => {
+                        return {
+                            DNSInformation: {
+                                FromDHCP: false,
+                                DNSManual: dns.getServers().map(server => net.isIPv4(server) ?
+                                    { Type: 'IPv4', IPv4Address: server } :
+                                    { Type: 'IPv6', IPv6Address: server })
+                            }
+                        };
+                    },
+
+                    GetNTP: (args) => {
+                        return {
+                            NTPInformation: {
+                                FromDHCP: false
+                            }
+                        };
+                    },
+
+                    GetNetworkInterfaces: (args) => {
+                        let network = this.networkInterface ? this.networkInterface.network : null;
+                        let prefixLength = network && network.cidr ? parseInt(network.cidr.split('/')[1]) : 24;
+                        return {
+                            NetworkInterfaces: [{
+                                attributes: {
+                                    token: this.networkInterface ? this.networkInterface.name : 'eth0'
+                                },
+                                Enabled: true,
+                                Info: {
+                                    Name: this.networkInterface ? this.networkInterface.name : 'eth0',
+                                    HwAddress: network ? network.mac : (this.config.mac || '00:00:00:00:00:00'),
+                                    MTU: 1500
+                                },
+                                IPv4: {
+                                    Enabled: true,
+                                    Config: {
+                                        Manual: {
+                                            Address: this.config.hostname,
+                                            PrefixLength: prefixLength
+                                        },
+                                        DHCP: false
+                                    }
+                                }
+                            }]
+                        };
+                    },
+
+                    GetNetworkProtocols: (args) => {
+                        return {
+                            NetworkProtocols: [
+                                { Name: 'HTTP', Enabled: true, Port: [ this.config.ports.server ] },
+                                { Name: 'HTTPS', Enabled: false, Port: [ 443 ] },
+                                { Name: 'RTSP', Enabled: true, Port: [ this.useDirectUrls ? this.config.target.ports.rtsp : this.config.ports.rtsp ] }
                             ]
                         };
                     },
-                
-                    GetDeviceInformation: (args) => {
+
+                    GetDiscoveryMode: (args) => {
+                        return {
+                            DiscoveryMode: 'Discoverable'
+                        };
+                    },
+
+                    GetUsers: (args) => {
                         return {
-                            Manufacturer: 'Onvif',
-                            Model: 'Cardinal',
-                            FirmwareVersion: '1.0.0',
-                            SerialNumber: `${this.config.name.replace(' ', '_')}-0000`,
-                            HardwareId: `${this.config.name.replace(' ', '_')}-1001`
+                            User: this.authenticator.isEnabled() ? [ { Username: this.config.username, UserLevel: 'Administrator' } ] : []
+                        };
+                    },
+
+                    // There is nothing to reboot for a virtual device, but clients expect the operation to succeed
+                    SystemReboot: (args) => {
+                        this.logger.info(`${this.config.name}: ignoring reboot request`);
+                        return {
+                            Message: 'Rebooting'
                         };
                     }
-                
                 }
             },
         
@@ -347,6 +729,12 @@ class OnvifServer {
                         };
                     },
         
+                    GetProfile: (args) => {
+                        return {
+                            Profile: this.requireProfile(args.ProfileToken)
+                        };
+                    },
+
                     GetVideoSources: (args) => {
                         return {
                             VideoSources: [
@@ -354,27 +742,137 @@ class OnvifServer {
                             ]
                         };
                     },
-        
-                    GetSnapshotUri: (args) => {
-                        let uri = `http://${this.config.hostname}:${this.config.ports.server}/snapshot.png`;
-
-                        if (this.useDirectUrls) {
-                            // Use direct URL to target device (bypass proxy)
-                            if (args.ProfileToken == 'sub_stream' && this.config.lowQuality && this.config.lowQuality.snapshot)
-                                uri = `http://${this.config.target.hostname}:${this.config.target.ports.snapshot}${this.config.lowQuality.snapshot}`;
-                            else if (this.config.highQuality.snapshot)
-                                uri = `http://${this.config.target.hostname}:${this.config.target.ports.snapshot}${this.config.highQuality.snapshot}`;
-                        } else {
-                            // Use proxied URL through virtual device
-                            if (args.ProfileToken == 'sub_stream' && this.config.lowQuality && this.config.lowQuality.snapshot)
-                                uri = `http://${this.config.hostname}:${this.config.ports.snapshot}${this.config.lowQuality.snapshot}`;
-                            else if (this.config.highQuality.snapshot)
-                                uri = `http://${this.config.hostname}:${this.config.ports.snapshot}${this.config.highQuality.snapshot}`;
-                        }
 
+                    GetVideoSourceConfigurations: (args) => {
+                        return {
+                            Configurations: [
+                                this.profiles[0].VideoSourceConfiguration
+                            ]
+                        };
+                    },
+
+                    GetVideoEncoderConfigurations: (args) => {
+                        return {
+                            Configurations: this.profiles.map(profile => profile.VideoEncoderConfiguration)
+                        };
+                    },
+
+                    GetVideoEncoderConfiguration: (args) => {
+                        return {
+                            Configuration: this.requireVideoEncoderProfile(args.ConfigurationToken).VideoEncoderConfiguration
+                        };
+                    },
+
+                    GetCompatibleVideoEncoderConfigurations: (args) => {
+                        // The encoders are fixed by the upstream streams, so a profile is only compatible with its own
+                        return {
+                            Configurations: [
+                                this.requireProfile(args.ProfileToken).VideoEncoderConfiguration
+                            ]
+                        };
+                    },
+
+                    GetVideoEncoderConfigurationOptions: (args) => {
+                        let profile = this.profiles[0];
+                        if (args.ConfigurationToken)
+                            profile = this.requireVideoEncoderProfile(args.ConfigurationToken);
+                        else if (args.ProfileToken)
+                            profile = this.requireProfile(args.ProfileToken);
+
+                        return {
+                            Options: this.getVideoEncoderOptions(profile)
+                        };
+                    },
+
+                    GetAudioSources: (args) => {
+                        return {
+                            AudioSources: this.audioSources
+                        };
+                    },
+
+                    GetAudioSourceConfigurations: (args) => {
+                        let profile = this.profiles.find(profile => profile.AudioSourceConfiguration);
+                        return {
+                            Configurations: profile ? [ profile.AudioSourceConfiguration ] : []
+                        };
+                    },
+
+                    GetAudioEncoderConfigurations: (args) => {
+                        return {
+                            Configurations: this.profiles.filter(profile => profile.AudioEncoderConfiguration).map(profile => profile.AudioEncoderConfiguration)
+                        };
+                    },
+
+                    GetAudioOutputs: (args) => {
+                        return {
+                            AudioOutputs: this.audioOutputs
+                        };
+                    },
+
+                    GetAudioOutputConfigurations: (args) => {
+                        return {
+                            Configurations: this.audioOutputs.length > 0 ? [ this.profiles[0].Extension.AudioOutputConfiguration ] : []
+                        };
+                    },
+
+                    GetAudioDecoderConfigurations: (args) => {
+                        return {
+                            Configurations: this.audioOutputs.length > 0 ? [ this.profiles[0].Extension.AudioDecoderConfiguration ] : []
+                        };
+                    },
+
+                    GetAudioDecoderConfigurationOptions: (args) => {
+                        if (args.ProfileToken)
+                            this.requireProfile(args.ProfileToken);
+                        if (!this.config.audioOutput)
+                            throw createFault('Receiver', ['ter:ActionNotSupported', 'ter:AudioOutputNotSupported'], 'This device has no audio output', 500);
+
+                        let audio = getAudioSettings(this.config.audioOutput);
+                        let options = {
+                            Bitrate: { Items: [ audio.bitrate ] },
+                            SampleRateRange: { Items: [ audio.sampleRate ] }
+                        };
+                        return {
+                            Options: {
+                                [`${audio.encoding}DecOptions`]: options
+                            }
+                        };
+                    },
+
+                    GetServiceCapabilities: (args) => {
+                        return {
+                            Capabilities: {
+                                attributes: {
+                                    SnapshotUri: true,
+                                    Rotation: false,
+                                    VideoSourceMode: false,
+                                    OSD: false,
+                                    TemporaryOSDText: false,
+                                    EXICompression: false
+                                },
+                                ProfileCapabilities: {
+                                    attributes: {
+                                        MaximumNumberOfProfiles: this.profiles.length
+                                    }
+                                },
+                                StreamingCapabilities: {
+                                    attributes: {
+                                        RTPMulticast: false,
+                                        RTP_TCP: true,
+                                        RTP_RTSP_TCP: true,
+                                        NonAggregateControl: false,
+                                        NoRTSPStreaming: false
+                                    }
+                                }
+                            }
+                        };
+                    },
+
+                    GetSnapshotUri: (args) => {
+                        this.requireProfile(args.ProfileToken);
                         return {
                             MediaUri : {
-                                Uri: uri,
+                                Uri: this.getSnapshotUri(args.ProfileToken),
                                 InvalidAfterConnect : false,
                                 InvalidAfterReboot : false,
                                 Timeout : 'PT30S'
@@ -383,22 +881,10 @@ class OnvifServer {
                     },
                 
                     GetStreamUri: (args) => {
-                        let path = this.config.highQuality.rtsp;
-                        if (args.ProfileToken == 'sub_stream' && this.config.lowQuality)
-                            path = this.config.lowQuality.rtsp;
-
-                        let uri;
-                        if (this.useDirectUrls) {
-                            // Use direct URL to target device (bypass proxy)
-                            uri = `rtsp://${this.config.target.hostname}:${this.config.target.ports.rtsp}${path}`;
-                        } else {
-                            // Use proxied URL through virtual device
-                            uri = `rtsp://${this.config.hostname}:${this.config.ports.rtsp}${path}`;
-                        }
-
+                        this.requireProfile(args.ProfileToken);
                         return {
                             MediaUri: {
-                                Uri: uri,
+                                Uri: this.getStreamUri(args.ProfileToken),
                                 InvalidAfterConnect: false,
                                 InvalidAfterReboot: false,
                                 Timeout: 'PT30S'
@@ -406,16 +892,455 @@ class OnvifServer {
                         };
                     }
                 }
+            },
+
+            // Media2 exposes the same profiles with native H.264/H.265 encoder configurations for Profile T clients
+            Media2Service: {
+                Media2: {
+                    GetProfiles: (args) => {
+                        let profiles = args.Token ? [ this.requireProfile(args.Token) ] : this.profiles;
+                        let types = soapEnvelope.toArray(args.Type).map(type => soapEnvelope.textValue(type));
+                        return {
+                            Profiles: profiles.map(profile => this.getMediaProfile(profile, types))
+                        };
+                    },
+
+                    GetVideoEncoderConfigurations: (args) => {
+                        return {
+                            Configurations: this.findMedia2Profiles(args).map(profile => this.getVideoEncoder2Configuration(profile))
+                        };
+                    },
+
+                    GetVideoEncoderConfigurationOptions: (args) => {
+                        return {
+                            Options: this.findMedia2Profiles(args).map(profile => this.getVideoEncoder2Options(profile))
+                        };
+                    },
+
+                    GetStreamUri: (args) => {
+                        this.requireProfile(args.ProfileToken);
+                        return {
+                            Uri: this.getStreamUri(args.ProfileToken)
+                        };
+                    },
+
+                    GetSnapshotUri: (args) => {
+                        this.requireProfile(args.ProfileToken);
+                        return {
+                            Uri: this.getSnapshotUri(args.ProfileToken)
+                        };
+                    },
+
+                    GetServiceCapabilities: (args) => {
+                        return {
+                            Capabilities: {
+                                attributes: {
+                                    SnapshotUri: true,
+                                    Rotation: false,
+                                    VideoSourceMode: false,
+                                    OSD: false,
+                                    TemporaryOSDText: false,
+                                    Mask: false,
+                                    SourceMask: false
+                                },
+                                ProfileCapabilities: {
+                                    attributes: {
+                                        MaximumNumberOfProfiles: this.profiles.length,
+                                        ConfigurationsSupported: 'VideoSource VideoEncoder'
+                                    }
+                                },
+                                StreamingCapabilities: {
+                                    attributes: {
+                                        RTSPStreaming: true,
+                                        RTPMulticast: false,
+                                        RTP_RTSP_TCP: true,
+                                        NonAggregateControl: false,
+                                        AutoStartMulticast: false
+                                    }
+                                }
+                            }
+                        };
+                    }
+                }
             }
         };
+
+        if (this.config.ptz) {
+            const ptz = (operation, args) => this.upstream.call('PTZ', './wsdl/ptz_service.wsdl', operation, args);
+            // All local profiles map to the upstream profile of this camera's channel
+            const withProfile = (args) => Object.assign({}, args, { ProfileToken: this.config.ptz.profileToken });
+
+            this.onvif.PTZService = {
+                PTZ: {
+                    GetNodes: async (args) => {
+                        if (!this.config.ptz.nodeToken)
+                            return ptz('GetNodes', {});
+                        let result = await ptz('GetNode', { NodeToken: this.config.ptz.nodeToken });
+                        return { PTZNode: [ result.PTZNode ] };
+                    },
+
+                    GetNode: (args) => ptz('GetNode', args),
+
+                    GetConfigurations: async (args) => {
+                        if (!this.config.ptz.configurationToken)
+                            return ptz('GetConfigurations', {});
+                        let result = await ptz('GetConfiguration', { PTZConfigurationToken: this.config.ptz.configurationToken });
+                        return { PTZConfiguration: [ result.PTZConfiguration ] };
+                    },
+
+                    GetConfiguration: (args) => ptz('GetConfiguration', args),
+                    GetConfigurationOptions: (args) => ptz('GetConfigurationOptions', args),
+                    ContinuousMove: (args) => ptz('ContinuousMove', withProfile(args)),
+                    RelativeMove: (args) => ptz('RelativeMove', withProfile(args)),
+                    AbsoluteMove: (args) => ptz('AbsoluteMove', withProfile(args)),
+                    Stop: (args) => ptz('Stop', withProfile(args)),
+                    GetPresets: (args) => ptz('GetPresets', withProfile(args)),
+                    GotoPreset: (args) => ptz('GotoPreset', withProfile(args)),
+                    SetPreset: (args) => ptz('SetPreset', withProfile(args)),
+                    RemovePreset: (args) => ptz('RemovePreset', withProfile(args)),
+                    GetStatus: (args) => ptz('GetStatus', withProfile(args))
+                }
+            };
+        }
+
+        for (let service in this.onvif)
+            for (let port in this.onvif[service])
+                this.onvif[service][port] = withUnsupportedOperations(this.onvif[service][port]);
+
+        if (this.authenticator.isEnabled())
+            this.requireAuthentication(this.onvif);
+    }
+
+    // Returns the HTTP status code to reject a SOAP request with, or 0 if it is authorized
+    checkAuthorization(operation, request, response, security) {
+        if (!this.authenticator.isEnabled() || PRE_AUTH_OPERATIONS.includes(operation))
+            return 0;
+        if (this.authenticator.authenticate(request, security))
+            return 0;
+
+        this.logger.debug(`${this.config.name}: rejected unauthenticated ${operation} request`);
+        if (this.authenticator.allowsDigest()) {
+            response.setHeader('WWW-Authenticate', this.authenticator.createDigestChallenge(request.staleDigestNonce));
+            return 401;
+        }
+        return 400;
+    }
+
+    requireAuthentication(services) {
+        for (let service in services)
+            for (let port in services[service])
+                for (let operation in services[service][port]) {
+                    let handler = services[service][port][operation];
+                    services[service][port][operation] = (args, callback, headers, request, response) => {
+                        let statusCode = this.checkAuthorization(operation, request, response, headers && headers.Security);
+                        if (statusCode)
+                            throw createFault('Sender', ['ter:NotAuthorized'], 'Sender not Authorized', statusCode);
+                        return handler(args, callback, headers, request, response);
+                    };
+                }
+    }
+
+    requireProfile(profileToken) {
+        let profile = this.profiles.find(profile => profile.attributes.token == profileToken);
+        if (!profile)
+            throw createFault('Sender', ['ter:InvalidArgVal', 'ter:NoProfile'], 'The requested profile token does not exist');
+        return profile;
+    }
+
+    requireVideoEncoderProfile(configurationToken) {
+        let profile = this.profiles.find(profile => profile.VideoEncoderConfiguration.attributes.token == configurationToken);
+        if (!profile)
+            throw createFault('Sender', ['ter:InvalidArgVal', 'ter:NoConfig'], 'The requested configuration token does not exist');
+        return profile;
+    }
+
+    // Media2 requests select configurations by configuration or profile token, or all of them without either
+    findMedia2Profiles(args) {
+        if (args.ConfigurationToken)
+            return [ this.requireVideoEncoderProfile(args.ConfigurationToken) ];
+        if (args.ProfileToken)
+            return [ this.requireProfile(args.ProfileToken) ];
+        return this.profiles;
+    }
+
+    // Without a type Media2 only returns the profile names, 'All' includes every configuration
+    getMediaProfile(profile, types) {
+        let includes = (type) => types.includes('All') || types.includes(type);
+        let configurations = {};
+        if (includes('VideoSource'))
+            configurations.VideoSource = profile.VideoSourceConfiguration;
+        if (includes('AudioSource') && profile.AudioSourceConfiguration)
+            configurations.AudioSource = profile.AudioSourceConfiguration;
+        if (includes('VideoEncoder'))
+            configurations.VideoEncoder = this.getVideoEncoder2Configuration(profile);
+        if (includes('AudioEncoder') && profile.AudioEncoderConfiguration)
+            configurations.AudioEncoder = this.getAudioEncoder2Configuration(profile);
+        if (includes('PTZ') && profile.PTZConfiguration)
+            configurations.PTZ = profile.PTZConfiguration;
+        if (includes('AudioOutput') && profile.Extension)
+            configurations.AudioOutput = profile.Extension.AudioOutputConfiguration;
+        if (includes('AudioDecoder') && profile.Extension)
+            configurations.AudioDecoder = profile.Extension.AudioDecoderConfiguration;
+
+        let mediaProfile = {
+            attributes: {
+                token: profile.attributes.token,
+                fixed: true
+            },
+            Name: profile.Name
+        };
+        if (Object.keys(configurations).length > 0)
+            mediaProfile.Configurations = configurations;
+        return mediaProfile;
+    }
+
+    getVideoEncoder2Configuration(profile) {
+        let stream = this.getStream(profile.attributes.token);
+        let encoder = profile.VideoEncoderConfiguration;
+        return {
+            attributes: {
+                token: encoder.attributes.token,
+                GovLength: stream.govLength || stream.framerate,
+                Profile: MEDIA2_PROFILES[stream.profile] || stream.profile || MEDIA2_DEFAULT_PROFILES[encoder.Encoding]
+            },
+            Name: encoder.Name,
+            UseCount: encoder.UseCount,
+            Encoding: MEDIA2_ENCODINGS[encoder.Encoding],
+            Resolution: encoder.Resolution,
+            RateControl: {
+                attributes: {
+                    ConstantBitRate: false
+                },
+                FrameRateLimit: stream.framerate,
+                BitrateLimit: stream.bitrate
+            },
+            Quality: stream.quality
+        };
+    }
+
+    getAudioEncoder2Configuration(profile) {
+        let encoder = profile.AudioEncoderConfiguration;
+        return {
+            attributes: encoder.attributes,
+            Name: encoder.Name,
+            UseCount: encoder.UseCount,
+            Encoding: MEDIA2_AUDIO_ENCODINGS[encoder.Encoding],
+            Bitrate: encoder.Bitrate,
+            SampleRate: encoder.SampleRate
+        };
+    }
+
+    getVideoEncoder2Options(profile) {
+        let stream = this.getStream(profile.attributes.token);
+        let configuration = this.getVideoEncoder2Configuration(profile);
+        let govLength = configuration.attributes.GovLength;
+        return {
+            attributes: {
+                GovLengthRange: `${govLength} ${govLength}`,
+                FrameRatesSupported: String(stream.framerate),
+                ProfilesSupported: configuration.attributes.Profile,
+                ConstantBitRateSupported: false
+            },
+            Encoding: configuration.Encoding,
+            QualityRange: { Min: stream.quality, Max: stream.quality },
+            ResolutionsAvailable: [ configuration.Resolution ],
+            BitrateRange: { Min: stream.bitrate, Max: stream.bitrate }
+        };
+    }
+
+    getSnapshotUri(profileToken) {
+        // Streams without a snapshot of their own fall back to the snapshot of the main stream
+        let stream = [this.getStream(profileToken), this.streams[0]].find(stream => stream && stream.snapshot);
+        if (!stream)
+            return `http://${this.config.hostname}:${this.config.ports.server}/snapshot.png`;
+
+        if (this.useDirectUrls) {
+            // Use direct URL to target device (bypass proxy)
+            return `http://${this.config.target.hostname}:${this.config.target.ports.snapshot}${stream.snapshot}`;
+        }
+        // Serve the upstream snapshot through the virtual device with its own credentials
+        return `http://${this.config.hostname}:${this.config.ports.server}/snapshot/${stream.token}.jpg`;
+    }
+
+    getStreamUri(profileToken) {
+        let path = (this.getStream(profileToken) || this.streams[0]).rtsp;
+
+        if (this.useDirectUrls) {
+            // Use direct URL to target device (bypass proxy)
+            return `rtsp://${this.config.target.hostname}:${this.config.target.ports.rtsp}${path}`;
+        }
+        // Use proxied URL through virtual device
+        return `rtsp://${this.config.hostname}:${this.config.ports.rtsp}${path}`;
+    }
+
+    getStream(profileToken) {
+        return this.streams.find(stream => stream.token == profileToken);
+    }
+
+    // The virtual device can't reconfigure the upstream encoders, so the options only cover the configured values
+    getVideoEncoderOptions(profile) {
+        let stream = this.getStream(profile.attributes.token);
+        let encoder = profile.VideoEncoderConfiguration;
+        let range = (value) => ({ Min: value, Max: value });
+        let codecOptions = {
+            ResolutionsAvailable: [ encoder.Resolution ],
+            GovLengthRange: range(stream.govLength || stream.framerate),
+            FrameRateRange: range(stream.framerate),
+            EncodingIntervalRange: range(stream.encodingInterval || 1)
+        };
+
+        let options = {
+            QualityRange: range(stream.quality)
+        };
+        // Keep the element order of the schema, where the supported profiles follow the ranges
+        if (encoder.Encoding == 'H264') {
+            options.H264 = Object.assign({}, codecOptions, { H264ProfilesSupported: [ encoder.H264.H264Profile ] });
+            options.Extension = {
+                H264: Object.assign({}, options.H264, { BitrateRange: range(stream.bitrate) })
+            };
+        } else if (encoder.Encoding == 'MPEG4') {
+            options.MPEG4 = Object.assign({}, codecOptions, { Mpeg4ProfilesSupported: [ encoder.MPEG4.Mpeg4Profile ] });
+            options.Extension = {
+                MPEG4: Object.assign({}, options.MPEG4, { BitrateRange: range(stream.bitrate) })
+            };
+        }
+        return options;
+    }
+
+    getSnapshotPath(profileToken) {
+        let stream = this.getStream(profileToken);
+        return stream ? stream.snapshot : null;
+    }
+
+    // Snapshots can only be protected at the HTTP level, so they always use Digest
+    authorizeHttpRequest(request, response) {
+        if (!this.authenticator.isEnabled() || this.authenticator.verifyDigest(request))
+            return true;
+
+        response.writeHead(401, {
+            'Content-Type': 'text/plain',
+            'WWW-Authenticate': this.authenticator.createDigestChallenge(request.staleDigestNonce)
+        });
+        response.end('401 Unauthorized\n');
+        return false;
+    }
+
+    sendSnapshot(response, snapshotPromise) {
+        snapshotPromise
+            .then(snapshot => {
+                response.writeHead(200, {
+                    'Content-Type': snapshot.contentType,
+                    'Content-Length': snapshot.data.length,
+                    'Cache-Control': 'no-cache'
+                });
+                response.end(snapshot.data);
+            })
+            .catch(err => {
+                this.logger.error(`Failed to serve snapshot for ${this.config.name}:`, err);
+                response.writeHead(500, {'Content-Type': 'text/plain'});
+                response.end('500 Internal Server Error\n');
+            });
+    }
+
+    sendJson(response, statusCode, body) {
+        response.writeHead(statusCode, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify(body) + '\n');
+    }
+
+    // Injects an external trigger posted as JSON, e.g. { "type": "object", "objectType": "Human" }
+    handleTrigger(request, response) {
+        if (request.method != 'POST')
+            return this.sendJson(response, 405, { error: 'Method not allowed' });
+        if (!this.authorizeHttpRequest(request, response))
+            return;
+
+        let chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_TRIGGER_SIZE)
+                return request.destroy();
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            let trigger;
+            try {
+                trigger = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+            } catch (err) {
+                return this.sendJson(response, 400, { error: 'Invalid JSON' });
+            }
+
+            let error = this.triggerSource.validate(trigger);
+            if (error)
+                return this.sendJson(response, 400, { error: error });
+
+            this.triggerSource.trigger(trigger);
+            this.sendJson(response, 200, { ok: true });
+        });
+    }
+
+    setDiscoveryServer(discovery) {
+        this.discovery = discovery;
+    }
+
+    // Directed probes are POSTed either to the dedicated discovery path or with a WS-Discovery action to any path
+    isDiscoveryRequest(request) {
+        if (request.method != 'POST')
+            return false;
+        let action = `${request.headers['content-type'] || ''} ${request.headers['soapaction'] || ''}`;
+        return url.parse(request.url).pathname == '/onvif/discovery' || action.indexOf('schemas.xmlsoap.org/ws/2005/04/discovery/') > -1;
+    }
+
+    handleDiscoveryRequest(request, response) {
+        let chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_DISCOVERY_SIZE)
+                return request.destroy();
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            if (!this.discovery) {
+                response.writeHead(503, {'Content-Type': 'text/plain'});
+                return response.end('503 Service Unavailable\n');
+            }
+
+            this.discovery.handleMessage(Buffer.concat(chunks).toString('utf8'), [this], true)
+                .then(responses => {
+                    if (responses.length == 0) {
+                        response.writeHead(202);
+                        return response.end();
+                    }
+                    response.writeHead(200, {'Content-Type': 'application/soap+xml; charset=utf-8'});
+                    response.end(responses[0]);
+                })
+                .catch(err => {
+                    this.logger.trace(`Invalid directed discovery request for ${this.config.name}:`, err);
+                    response.writeHead(400, {'Content-Type': 'text/plain'});
+                    response.end('400 Bad Request\n');
+                });
+        });
     }
 
     listen(request, response) {
         let action = url.parse(request.url, true).pathname;
+        let snapshotMatch = /^\/snapshot\/([^\/]+)\.jpg$/.exec(action);
+        let triggerMatch = /^\/api\/cameras\/([^\/]+)\/events$/.exec(action);
         if (action == '/snapshot.png') {
-            let image = fs.readFileSync('./resources/snapshot.png');
-            response.writeHead(200, {'Content-Type': 'image/png' });
-            response.end(image, 'binary');
+            if (!this.authorizeHttpRequest(request, response))
+                return;
+
+            this.sendSnapshot(response, this.snapshotProxy.getPlaceholder());
+        } else if (triggerMatch && [this.config.name, encodeURIComponent(this.config.name)].includes(triggerMatch[1])) {
+            this.handleTrigger(request, response);
+        } else if (action == '/onvif/events_service' || action.startsWith('/onvif/subscription/')) {
+            this.eventService.handleRequest(request, response);
+        } else if (snapshotMatch && this.getSnapshotPath(snapshotMatch[1])) {
+            if (!this.authorizeHttpRequest(request, response))
+                return;
+
+            this.sendSnapshot(response, this.snapshotProxy.getSnapshot(this.getSnapshotPath(snapshotMatch[1])));
         } else {
             response.writeHead(404, {'Content-Type': 'text/plain'});
             response.write('404 Not Found\n');
@@ -423,9 +1348,22 @@ class OnvifServer {
         }
     }
 
+    // Resolves once the server listens, or rejects if it can't, e.g. because its port is already in use
     startServer() {
-        this.server = http.createServer(this.listen);
-        this.server.listen(this.config.ports.server, this.config.hostname);
+        // The SOAP services are attached to a handler that is never bound itself, so directed discovery
+        // probes, which may be posted to the device service, can be picked out before the services see them
+        this.soapHandler = http.createServer((request, response) => this.listen(request, response));
+        this.server = http.createServer((request, response) => {
+            if (this.isDiscoveryRequest(request))
+                return this.handleDiscoveryRequest(request, response);
+            this.soapHandler.emit('request', request, response);
+        });
+        this.server.listen(this.config.ports.server, this.getBindAddress());
+        let listening = new Promise((resolve, reject) => {
+            this.server.once('listening', resolve);
+            this.server.once('error', reject);
+        });
+        this.eventService.start();
 
         // Add HTTP server error handler
         this.server.on('error', (err) => {
@@ -441,7 +1379,7 @@ class OnvifServer {
             .replace(/http:\/\/localhost:8000\/onvif\/media_service/g,
                      `http://${this.config.hostname}:${this.config.ports.server}/onvif/media_service`);
 
-        this.deviceService = soap.listen(this.server, {
+        this.deviceService = soap.listen(this.soapHandler, {
             path: '/onvif/device_service',
             services: this.onvif,
             xml: deviceWsdl,
@@ -453,7 +1391,7 @@ class OnvifServer {
             this.logger.error(`DeviceService SOAP error for ${this.config.name}:`, err);
         });
 
-        this.mediaService = soap.listen(this.server, {
+        this.mediaService = soap.listen(this.soapHandler, {
             path: '/onvif/media_service',
             services: this.onvif,
             xml: mediaWsdl,
@@ -464,6 +1402,55 @@ class OnvifServer {
         this.mediaService.on('error', (err) => {
             this.logger.error(`MediaService SOAP error for ${this.config.name}:`, err);
         });
+
+        const media2Wsdl = fs.readFileSync('./wsdl/media2_service.wsdl', 'utf8')
+            .replace(/http:\/\/localhost:8000\/onvif\/media2_service/g,
+                     `http://${this.config.hostname}:${this.config.ports.server}/onvif/media2_service`);
+
+        this.media2Service = soap.listen(this.soapHandler, {
+            path: '/onvif/media2_service',
+            services: this.onvif,
+            xml: media2Wsdl,
+            forceSoap12Headers: true
+        });
+
+        // Add SOAP error handler
+        this.media2Service.on('error', (err) => {
+            this.logger.error(`Media2Service SOAP error for ${this.config.name}:`, err);
+        });
+
+        if (this.config.ptz) {
+            const ptzWsdl = fs.readFileSync('./wsdl/ptz_service.wsdl', 'utf8')
+                .replace(/http:\/\/localhost:8000\/onvif\/ptz_service/g,
+                         `http://${this.config.hostname}:${this.config.ports.server}/onvif/ptz_service`);
+
+            this.ptzService = soap.listen(this.soapHandler, {
+                path: '/onvif/ptz_service',
+                services: this.onvif,
+                xml: ptzWsdl,
+                forceSoap12Headers: true
+            });
+
+            // Add SOAP error handler
+            this.ptzService.on('error', (err) => {
+                this.logger.error(`PTZService SOAP error for ${this.config.name}:`, err);
+            });
+        }
+        return listening;
+    }
+
+    // Stops the server and its event service, resolving once the port is free again
+    stopServer() {
+        this.eventService.stop();
+        if (!this.server)
+            return Promise.resolve();
+
+        let server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
     }
 
     enableDebugOutput() {
@@ -474,19 +1461,54 @@ class OnvifServer {
         this.mediaService.on('request', (request, methodName) => {
             this.logger.debug('MediaService: ' + methodName);
         });
+
+        this.media2Service.on('request', (request, methodName) => {
+            this.logger.debug('Media2Service: ' + methodName);
+        });
+
+        if (this.ptzService)
+            this.ptzService.on('request', (request, methodName) => {
+                this.logger.debug('PTZService: ' + methodName);
+            });
+    }
+
+    getFixedScopes() {
+        let scopes = ['onvif://www.onvif.org/type/video_encoder'];
+        if (this.audioSources.length > 0)
+            scopes.push('onvif://www.onvif.org/type/audio_encoder');
+        if (this.config.ptz)
+            scopes.push('onvif://www.onvif.org/type/ptz');
+        scopes.push(`onvif://www.onvif.org/hardware/${encodeURIComponent(this.identity.manufacturer)}`);
+        return scopes;
+    }
+
+    // Replaces the configurable scopes and announces the new metadata version to the network
+    setScopes(scopes) {
+        this.scopes = scopes;
+        this.metadataVersion++;
+        if (this.discovery)
+            this.discovery.sendHello(this);
     }
 
     getDiscoveryInfo() {
         return {
             uuid: this.config.uuid,
             hostname: this.config.hostname,
-            port: this.config.ports.server
+            localAddress: this.getBindAddress(),
+            port: this.config.ports.server,
+            scopes: this.getFixedScopes().concat(this.scopes),
+            metadataVersion: this.metadataVersion
         };
     }
 
     getHostname() {
         return this.config.hostname;
     }
+
+    // The address to listen on, which differs from the announced hostname e.g. in containers with published ports
+    getBindAddress() {
+        return this.config.bindAddress || this.config.hostname;
+    }
 };
 
 function createServer(config, logger, useDirectUrls) {
@@ -0,0 +1,277 @@
+const net = require('net');
+const httpDigest = require('./http-digest');
+
+const INTERLEAVED_MARKER = 0x24; // '$'
+const MAX_HEADER_SIZE = 64 * 1024;
+
+// Headers and SDP attributes that carry absolute RTSP URLs of the upstream server
+const URL_HEADERS = ['content-base', 'content-location', 'location', 'rtp-info'];
+const RTSP_URL_REGEX = /rtsp:\/\/[^\/\s;,"]+/gi;
+
+// Splits an RTSP byte stream into messages and interleaved binary frames
+class RtspParser {
+    constructor(onMessage, onInterleaved) {
+        this.onMessage = onMessage;
+        this.onInterleaved = onInterleaved;
+        this.buffer = null;
+    }
+
+    push(chunk) {
+        let buffer = this.buffer ? Buffer.concat([this.buffer, chunk]) : chunk;
+        let offset = 0;
+
+        while (offset < buffer.length) {
+            if (buffer[offset] == INTERLEAVED_MARKER) {
+                if (buffer.length - offset < 4)
+                    break;
+                let frameLength = 4 + buffer.readUInt16BE(offset + 2);
+                if (buffer.length - offset < frameLength)
+                    break;
+                this.onInterleaved(buffer.subarray(offset, offset + frameLength));
+                offset += frameLength;
+                continue;
+            }
+
+            let headerEnd = buffer.indexOf('\r\n\r\n', offset);
+            if (headerEnd == -1) {
+                if (buffer.length - offset > MAX_HEADER_SIZE)
+                    throw new Error('RTSP header too large');
+                break;
+            }
+
+            let lines = buffer.toString('utf8', offset, headerEnd).split('\r\n');
+            let message = {
+                startLine: lines.shift(),
+                headers: lines.map(line => {
+                    let separator = line.indexOf(':');
+                    return [line.substr(0, separator).trim(), line.substr(separator + 1).trim()];
+                }),
+                body: Buffer.alloc(0)
+            };
+
+            let contentLength = parseInt(getHeader(message, 'content-length') || '0');
+            if (buffer.length - headerEnd - 4 < contentLength)
+                break;
+
+            message.body = buffer.subarray(headerEnd + 4, headerEnd + 4 + contentLength);
+            offset = headerEnd + 4 + contentLength;
+            this.onMessage(message);
+        }
+
+        this.buffer = offset < buffer.length ? Buffer.from(buffer.subarray(offset)) : null;
+    }
+}
+
+function getHeader(message, name) {
+    let header = message.headers.find(header => header[0].toLowerCase() == name);
+    return header ? header[1] : undefined;
+}
+
+function setHeader(message, name, value) {
+    let header = message.headers.find(header => header[0].toLowerCase() == name.toLowerCase());
+    if (header)
+        header[1] = value;
+    else
+        message.headers.push([name, value]);
+}
+
+function removeHeader(message, name) {
+    message.headers = message.headers.filter(header => header[0].toLowerCase() != name);
+}
+
+function serialize(message) {
+    if (message.body.length > 0)
+        setHeader(message, 'Content-Length', message.body.length);
+    let head = message.startLine + '\r\n' +
+        message.headers.map(header => `${header[0]}: ${header[1]}`).join('\r\n') +
+        '\r\n\r\n';
+    return Buffer.concat([Buffer.from(head), message.body]);
+}
+
+class RtspProxy {
+    constructor(options, logger) {
+        this.options = options;
+        this.logger = logger;
+        this.server = null;
+        this.connections = new Set();
+
+        this.sourceBase = `rtsp://${options.sourceHostname}:${options.sourcePort}`;
+        this.targetBase = `rtsp://${options.targetHostname}:${options.targetPort}`;
+    }
+
+    // Resolves once the proxy listens, or rejects if it can't, e.g. because its port is already in use
+    start() {
+        this.server = net.createServer((client) => this.handleConnection(client));
+        this.server.on('error', (err) => {
+            this.logger.error(`RTSP proxy error on ${this.options.sourceHostname}:${this.options.sourcePort}:`, err);
+        });
+        this.server.listen(this.options.sourcePort, this.options.bindAddress || this.options.sourceHostname);
+        return new Promise((resolve, reject) => {
+            this.server.once('listening', resolve);
+            this.server.once('error', reject);
+        });
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+        for (let connection of this.connections)
+            connection.destroy();
+        this.connections.clear();
+    }
+
+    // Swaps the authenticator checking clients, e.g. when the camera's server was restarted with new credentials
+    setAuthenticator(authenticator) {
+        this.options.authenticator = authenticator;
+    }
+
+    getConnectionCount() {
+        return this.connections.size;
+    }
+
+    handleConnection(client) {
+        let upstream = net.connect(this.options.targetPort, this.options.targetHostname);
+        let session = {
+            pending: new Map(), // CSeq -> upstream request, kept to retry after an authentication challenge
+            challenge: null,
+            nc: 0
+        };
+
+        this.connections.add(client);
+        this.logger.trace(`RTSP proxy connection from ${client.remoteAddress} to ${this.targetBase}`);
+
+        let clientParser = new RtspParser(
+            (message) => this.handleRequest(message, client, upstream, session),
+            (frame) => {
+                if (!upstream.write(frame))
+                    client.pause();
+            }
+        );
+        let upstreamParser = new RtspParser(
+            (message) => this.handleResponse(message, client, upstream, session),
+            (frame) => {
+                if (!client.write(frame))
+                    upstream.pause();
+            }
+        );
+        client.on('drain', () => upstream.resume());
+        upstream.on('drain', () => client.resume());
+
+        client.on('data', (chunk) => {
+            try {
+                clientParser.push(chunk);
+            } catch (err) {
+                this.logger.debug(`RTSP proxy: invalid request from ${client.remoteAddress}: ${err.message}`);
+                client.destroy();
+            }
+        });
+        upstream.on('data', (chunk) => {
+            try {
+                upstreamParser.push(chunk);
+            } catch (err) {
+                this.logger.debug(`RTSP proxy: invalid response from ${this.targetBase}: ${err.message}`);
+                client.destroy();
+            }
+        });
+
+        let close = () => {
+            this.connections.delete(client);
+            client.destroy();
+            upstream.destroy();
+        };
+        client.on('close', close);
+        upstream.on('close', close);
+        client.on('error', (err) => this.logger.trace(`RTSP proxy client error: ${err.message}`));
+        upstream.on('error', (err) => this.logger.debug(`RTSP proxy upstream error for ${this.targetBase}: ${err.message}`));
+    }
+
+    handleRequest(message, client, upstream, session) {
+        let [method, uri, version] = message.startLine.split(' ');
+        let authenticator = this.options.authenticator;
+
+        if (authenticator && authenticator.isEnabled()) {
+            let request = { method: method, url: uri, headers: { authorization: getHeader(message, 'authorization') } };
+            if (!authenticator.verifyDigest(request))
+                return this.reply(client, message, '401 Unauthorized', [['WWW-Authenticate', authenticator.createDigestChallenge(request.staleDigestNonce)]]);
+        }
+
+        // Interleaved RTP is the only transport we can relay through a single TCP connection
+        let transport = getHeader(message, 'transport');
+        if (method == 'SETUP' && transport && transport.toUpperCase().indexOf('RTP/AVP/TCP') == -1)
+            return this.reply(client, message, '461 Unsupported Transport', []);
+
+        message.startLine = `${method} ${this.rewriteUrl(uri, this.targetBase)} ${version}`;
+        removeHeader(message, 'authorization');
+
+        session.pending.set(getHeader(message, 'cseq'), message);
+        this.sendUpstream(message, upstream, session);
+    }
+
+    sendUpstream(message, upstream, session) {
+        if (session.challenge) {
+            let [method, uri] = message.startLine.split(' ');
+            setHeader(message, 'Authorization', httpDigest.createAuthorization(session.challenge, {
+                username: this.options.username,
+                password: this.options.password || '',
+                method: method,
+                uri: uri,
+                nc: ++session.nc
+            }));
+        }
+        upstream.write(serialize(message));
+    }
+
+    handleResponse(message, client, upstream, session) {
+        let cseq = getHeader(message, 'cseq');
+        let request = session.pending.get(cseq);
+        session.pending.delete(cseq);
+
+        if (message.startLine.split(' ')[1] == '401' && request && this.options.username && !request.retried) {
+            let challenge = httpDigest.selectChallenge(message.headers
+                .filter(header => header[0].toLowerCase() == 'www-authenticate')
+                .map(header => header[1]));
+            if (challenge) {
+                session.challenge = challenge;
+                session.nc = 0;
+                request.retried = true;
+                session.pending.set(cseq, request);
+                this.sendUpstream(request, upstream, session);
+                return;
+            }
+        }
+
+        removeHeader(message, 'www-authenticate');
+        for (let header of message.headers)
+            if (URL_HEADERS.includes(header[0].toLowerCase()))
+                header[1] = header[1].replace(RTSP_URL_REGEX, this.sourceBase);
+
+        let contentType = getHeader(message, 'content-type');
+        if (contentType && contentType.toLowerCase().startsWith('application/sdp'))
+            message.body = Buffer.from(message.body.toString('utf8').replace(RTSP_URL_REGEX, this.sourceBase));
+
+        if (!client.write(serialize(message)))
+            upstream.pause();
+    }
+
+    reply(client, request, status, headers) {
+        let response = {
+            startLine: `RTSP/1.0 ${status}`,
+            headers: [['CSeq', getHeader(request, 'cseq')]].concat(headers),
+            body: Buffer.alloc(0)
+        };
+        client.write(serialize(response));
+    }
+
+    rewriteUrl(uri, base) {
+        return uri.replace(/^rtsp:\/\/[^\/]*/i, base);
+    }
+}
+
+function createRtspProxy(options, logger) {
+    return new RtspProxy(options, logger);
+}
+
+exports.createRtspProxy = createRtspProxy;
+exports.RtspParser = RtspParser;
@@ -0,0 +1,112 @@
+const http = require('http');
+const fs = require('fs');
+const httpDigest = require('./http-digest');
+
+const REQUEST_TIMEOUT = 5000;
+const MAX_SNAPSHOT_SIZE = 10 * 1024 * 1024;
+
+class SnapshotProxy {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.cacheTtl = (this.config.snapshotCacheTtl !== undefined ? this.config.snapshotCacheTtl : 5) * 1000;
+        this.cache = new Map(); // Upstream path -> { expires, snapshot }
+        this.pending = new Map(); // Upstream path -> Promise of an in-flight fetch
+        this.placeholder = null;
+    }
+
+    getPlaceholder() {
+        if (!this.placeholder)
+            this.placeholder = fs.promises.readFile('./resources/snapshot.png').then(data => ({
+                contentType: 'image/png',
+                data: data
+            }));
+        return this.placeholder;
+    }
+
+    // Resolves to the upstream snapshot for the given path, or the placeholder image if it is unavailable
+    async getSnapshot(path) {
+        if (!path || !this.config.target)
+            return this.getPlaceholder();
+
+        let cached = this.cache.get(path);
+        if (cached && cached.expires > Date.now())
+            return cached.snapshot;
+
+        // Coalesce concurrent requests for the same image into one upstream fetch
+        if (!this.pending.has(path)) {
+            let fetch = this.fetch(path)
+                .then(snapshot => {
+                    this.cache.set(path, { expires: Date.now() + this.cacheTtl, snapshot: snapshot });
+                    return snapshot;
+                })
+                .catch(err => {
+                    this.logger.debug(`Failed to fetch snapshot for ${this.config.name}: ${err.message}`);
+                    return this.getPlaceholder();
+                })
+                .finally(() => this.pending.delete(path));
+            this.pending.set(path, fetch);
+        }
+        return this.pending.get(path);
+    }
+
+    fetch(path, authorization) {
+        return new Promise((resolve, reject) => {
+            let headers = {};
+            if (authorization)
+                headers['Authorization'] = authorization;
+
+            let request = http.get({
+                hostname: this.config.target.hostname,
+                port: this.config.target.ports.snapshot || 80,
+                path: path,
+                headers: headers,
+                timeout: REQUEST_TIMEOUT
+            }, (response) => {
+                if (response.statusCode == 401 && !authorization && this.config.target.username) {
+                    response.resume();
+                    let challenge = httpDigest.selectChallenge(httpDigest.getHeaderValues(response.rawHeaders, 'WWW-Authenticate'));
+                    if (!challenge)
+                        return reject(new Error('Unsupported authentication challenge'));
+
+                    return resolve(this.fetch(path, httpDigest.createAuthorization(challenge, {
+                        username: this.config.target.username,
+                        password: this.config.target.password || '',
+                        method: 'GET',
+                        uri: path
+                    })));
+                }
+
+                if (response.statusCode != 200) {
+                    response.resume();
+                    return reject(new Error(`Upstream responded with HTTP ${response.statusCode}`));
+                }
+
+                let chunks = [];
+                let size = 0;
+                response.on('data', (chunk) => {
+                    size += chunk.length;
+                    if (size > MAX_SNAPSHOT_SIZE)
+                        return request.destroy(new Error('Snapshot exceeds maximum size'));
+                    chunks.push(chunk);
+                });
+                response.on('end', () => {
+                    resolve({
+                        contentType: response.headers['content-type'] || 'image/jpeg',
+                        data: Buffer.concat(chunks)
+                    });
+                });
+                response.on('error', reject);
+            });
+
+            request.on('timeout', () => request.destroy(new Error('Request timed out')));
+            request.on('error', reject);
+        });
+    }
+}
+
+function createSnapshotProxy(config, logger) {
+    return new SnapshotProxy(config, logger);
+}
+
+exports.createSnapshotProxy = createSnapshotProxy;
@@ -0,0 +1,102 @@
+const xml2js = require('xml2js');
+
+// Namespaces declared on every envelope we build by hand
+const NAMESPACES = {
+    'soap': 'http://www.w3.org/2003/05/soap-envelope',
+    'wsa': 'http://www.w3.org/2005/08/addressing',
+    'wsnt': 'http://docs.oasis-open.org/wsn/b-2',
+    'wstop': 'http://docs.oasis-open.org/wsn/t-1',
+    'tev': 'http://www.onvif.org/ver10/events/wsdl',
+    'tt': 'http://www.onvif.org/ver10/schema',
+    'tns1': 'http://www.onvif.org/ver10/topics',
+    'ter': 'http://www.onvif.org/ver10/error',
+    'xs': 'http://www.w3.org/2001/XMLSchema'
+};
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toArray(value) {
+    if (value === undefined || value === null)
+        return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Returns the text content of a parsed element, whether or not it had attributes
+function textValue(node) {
+    if (node === undefined || node === null)
+        return undefined;
+    if (typeof node === 'object')
+        return node.$value;
+    return String(node);
+}
+
+function formatDateTime(date) {
+    return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+// Parses a SOAP envelope into objects shaped like the ones the soap module passes to services
+async function parse(xml) {
+    let result = await xml2js.parseStringPromise(xml, {
+        tagNameProcessors: [xml2js.processors.stripPrefix],
+        attrNameProcessors: [xml2js.processors.stripPrefix],
+        explicitArray: false,
+        attrkey: 'attributes',
+        charkey: '$value'
+    });
+
+    if (!result || !result.Envelope || result.Envelope.Body === undefined)
+        throw new Error('Invalid SOAP envelope');
+
+    let body = result.Envelope.Body || {};
+    let operation = Object.keys(body).find(key => key != 'attributes');
+    return {
+        header: result.Envelope.Header || {},
+        body: body,
+        operation: operation,
+        args: operation ? body[operation] : undefined
+    };
+}
+
+function create(body, header = '') {
+    let namespaces = Object.keys(NAMESPACES).map(prefix => `xmlns:${prefix}="${NAMESPACES[prefix]}"`).join(' ');
+    return `<?xml version="1.0" encoding="UTF-8"?>` +
+        `<soap:Envelope ${namespaces}>` +
+        (header ? `<soap:Header>${header}</soap:Header>` : '') +
+        `<soap:Body>${body}</soap:Body>` +
+        `</soap:Envelope>`;
+}
+
+function createFault(code, subcode, reason) {
+    return create(
+        `<soap:Fault>` +
+            `<soap:Code>` +
+                `<soap:Value>soap:${code}</soap:Value>` +
+                (subcode ? `<soap:Subcode><soap:Value>${subcode}</soap:Value></soap:Subcode>` : '') +
+            `</soap:Code>` +
+            `<soap:Reason><soap:Text xml:lang="en">${escapeXml(reason)}</soap:Text></soap:Reason>` +
+        `</soap:Fault>`
+    );
+}
+
+// Extracts the reason text of a parsed fault
+function getFaultReason(fault) {
+    let reason = fault.Reason && toArray(fault.Reason.Text)[0];
+    return textValue(reason) || textValue(fault.faultstring) || 'Unknown fault';
+}
+
+exports.NAMESPACES = NAMESPACES;
+exports.escapeXml = escapeXml;
+exports.toArray = toArray;
+exports.textValue = textValue;
+exports.formatDateTime = formatDateTime;
+exports.parse = parse;
+exports.create = create;
+exports.createFault = createFault;
+exports.getFaultReason = getFaultReason;
@@ -0,0 +1,104 @@
+const EventEmitter = require('events');
+
+const DEFAULT_HOLD_TIME = 10;
+
+// Turns external triggers (webhook, MQTT) into ONVIF motion and object detection events
+class TriggerEventSource extends EventEmitter {
+    constructor(config, logger) {
+        super();
+        this.config = config;
+        this.logger = logger;
+        this.holdTime = ((this.config.events && this.config.events.holdTime) || DEFAULT_HOLD_TIME) * 1000;
+        this.timers = new Map(); // Trigger key -> timer resetting the state after the hold time
+        this.inputs = [];
+    }
+
+    // Adds an input (e.g. an MQTT subscriber) that is started and stopped together with this source
+    addInput(input) {
+        this.inputs.push(input);
+    }
+
+    start() {
+        for (let input of this.inputs)
+            input.start();
+    }
+
+    stop() {
+        for (let input of this.inputs)
+            input.stop();
+        for (let timer of this.timers.values())
+            clearTimeout(timer);
+        this.timers.clear();
+    }
+
+    // Validates a trigger such as { type: 'object', objectType: 'Human', state: true }, returning an error message if invalid
+    validate(trigger) {
+        if (!trigger || typeof trigger !== 'object')
+            return 'Trigger must be an object';
+        if (trigger.type !== undefined && !['motion', 'object'].includes(trigger.type))
+            return `Unknown trigger type '${trigger.type}', expected 'motion' or 'object'`;
+        if (trigger.state !== undefined && typeof trigger.state !== 'boolean')
+            return 'Trigger state must be a boolean';
+        if (trigger.objectType !== undefined && typeof trigger.objectType !== 'string')
+            return 'Trigger objectType must be a string';
+        return null;
+    }
+
+    // Without an explicit state, a trigger activates the event until the hold time passes without a new trigger
+    trigger(trigger) {
+        let type = trigger.type || 'motion';
+        let objectType = trigger.objectType || 'Human';
+        let key = type == 'object' ? `object/${objectType}` : 'motion';
+        let state = trigger.state !== undefined ? trigger.state : true;
+
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+        if (state && trigger.state === undefined)
+            this.timers.set(key, setTimeout(() => {
+                this.timers.delete(key);
+                this.emitState(type, objectType, false);
+            }, this.holdTime));
+
+        this.emitState(type, objectType, state);
+    }
+
+    emitState(type, objectType, state) {
+        let time = new Date();
+        if (type == 'object') {
+            this.emit('event', {
+                topic: 'tns1:RuleEngine/ObjectDetection/Object',
+                source: {
+                    VideoSourceConfigurationToken: 'video_src_config_token',
+                    VideoAnalyticsConfigurationToken: 'video_analytics_config_token',
+                    Rule: objectType
+                },
+                data: { ClassTypes: objectType, State: state },
+                time: time
+            });
+            return;
+        }
+
+        this.emit('event', {
+            topic: 'tns1:VideoSource/MotionAlarm',
+            source: { Source: 'video_src_token' },
+            data: { State: state },
+            time: time
+        });
+        this.emit('event', {
+            topic: 'tns1:RuleEngine/CellMotionDetector/Motion',
+            source: {
+                VideoSourceConfigurationToken: 'video_src_config_token',
+                VideoAnalyticsConfigurationToken: 'video_analytics_config_token',
+                Rule: 'MotionDetectorRule'
+            },
+            data: { IsMotion: state },
+            time: time
+        });
+    }
+}
+
+function createTriggerEventSource(config, logger) {
+    return new TriggerEventSource(config, logger);
+}
+
+exports.createTriggerEventSource = createTriggerEventSource;
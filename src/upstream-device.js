@@ -0,0 +1,162 @@
+const soap = require('soap');
+const http = require('http');
+const uuid = require('node-uuid');
+const soapEnvelope = require('./soap-envelope');
+const deviceClock = require('./device-clock');
+
+const REQUEST_TIMEOUT = 30000;
+
+function toFault(err) {
+    let reason = err.message;
+    if (err.root && err.root.Envelope && err.root.Envelope.Body && err.root.Envelope.Body.Fault && err.root.Envelope.Body.Fault.Reason && err.root.Envelope.Body.Fault.Reason.Text)
+        reason = err.root.Envelope.Body.Fault.Reason.Text['$value'] || err.root.Envelope.Body.Fault.Reason.Text;
+
+    return {
+        Fault: {
+            Code: {
+                Value: 'soap:Receiver'
+            },
+            Reason: { Text: `Upstream device error: ${reason}` },
+            statusCode: 500
+        }
+    };
+}
+
+class UpstreamDevice {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.capabilities = null;
+        this.clockOffset = null; // Promise of how many milliseconds the device's clock is ahead of ours
+        this.clients = new Map(); // Capability category -> Promise of a soap client
+    }
+
+    getDeviceServiceUrl() {
+        let ports = this.config.target.ports;
+        return `http://${this.config.target.hostname}:${ports.onvif || 80}/onvif/device_service`;
+    }
+
+    // Asks the device for its time once, so the WS-Security timestamps match its clock. Devices that don't answer are
+    // assumed to be in sync until their capabilities have to be requested again.
+    getClockOffset() {
+        if (!this.clockOffset)
+            this.clockOffset = soap.createClientAsync('./wsdl/device_service.wsdl', { forceSoap12Headers: true })
+                .then(client => {
+                    client.setEndpoint(this.getDeviceServiceUrl());
+                    return deviceClock.getClockOffset(client);
+                })
+                .then(offset => {
+                    if (offset != 0)
+                        this.logger.info(`Upstream device of ${this.config.name}: ${deviceClock.formatClockOffset(offset)}`);
+                    return offset;
+                })
+                .catch(err => {
+                    this.logger.debug(`Failed to get the time of the upstream device of ${this.config.name}: ${err.message}`);
+                    return 0;
+                });
+        return this.clockOffset;
+    }
+
+    // Resolves to the WS-Security header for the target's credentials, or null if it has none
+    async createSecurity() {
+        if (!this.config.target.username)
+            return null;
+        return deviceClock.createSecurity(this.config.target.username, this.config.target.password || '', await this.getClockOffset());
+    }
+
+    async createClient(wsdlFile, endpoint) {
+        let client = await soap.createClientAsync(wsdlFile, { forceSoap12Headers: true });
+        client.setEndpoint(endpoint);
+        let security = await this.createSecurity();
+        if (security)
+            client.setSecurity(security);
+        return client;
+    }
+
+    getCapabilities() {
+        if (!this.capabilities) {
+            this.capabilities = this.createClient('./wsdl/device_service.wsdl', this.getDeviceServiceUrl())
+                .then(client => client.GetCapabilitiesAsync({ Category: 'All' }))
+                .then(result => result[0].Capabilities);
+            this.capabilities.catch(() => {
+                this.capabilities = null;
+                this.clockOffset = null;
+            });
+        }
+        return this.capabilities;
+    }
+
+    // Resolves to a client for the upstream service of a capability category (e.g. 'PTZ')
+    getClient(category, wsdlFile) {
+        if (!this.clients.has(category)) {
+            let client = this.getCapabilities().then(capabilities => {
+                if (!capabilities[category] || !capabilities[category].XAddr)
+                    throw new Error(`${category} is not supported`);
+                return this.createClient(wsdlFile, capabilities[category].XAddr);
+            });
+            client.catch(() => this.clients.delete(category));
+            this.clients.set(category, client);
+        }
+        return this.clients.get(category);
+    }
+
+    // Calls an operation on the upstream device, rejecting with a SOAP fault the server can pass on
+    async call(category, wsdlFile, operation, args) {
+        try {
+            let client = await this.getClient(category, wsdlFile);
+            let result = await client[operation + 'Async'](args);
+            return result[0] || {};
+        } catch (err) {
+            this.logger.debug(`Upstream ${category} ${operation} failed for ${this.config.name}: ${err.message}`);
+            throw toFault(err);
+        }
+    }
+
+    // Sends a hand-built SOAP request, for services whose WSDLs the soap module cannot resolve
+    async request(address, action, body) {
+        let header =
+            `<wsa:Action>${action}</wsa:Action>` +
+            `<wsa:MessageID>urn:uuid:${uuid.v4()}</wsa:MessageID>` +
+            `<wsa:To>${soapEnvelope.escapeXml(address)}</wsa:To>`;
+        let security = await this.createSecurity();
+        if (security)
+            header += security.toXML();
+
+        let payload = Buffer.from(soapEnvelope.create(body, header));
+        return new Promise((resolve, reject) => {
+            let request = http.request(address, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': `application/soap+xml; charset=utf-8; action="${action}"`,
+                    'Content-Length': payload.length
+                },
+                timeout: REQUEST_TIMEOUT
+            }, (response) => {
+                let chunks = [];
+                response.on('data', (chunk) => chunks.push(chunk));
+                response.on('end', () => {
+                    soapEnvelope.parse(Buffer.concat(chunks).toString('utf8'))
+                        .then(envelope => {
+                            if (envelope.operation == 'Fault')
+                                throw new Error(soapEnvelope.getFaultReason(envelope.args));
+                            if (response.statusCode != 200)
+                                throw new Error(`HTTP ${response.statusCode}`);
+                            resolve(envelope);
+                        })
+                        .catch(reject);
+                });
+                response.on('error', reject);
+            });
+
+            request.on('timeout', () => request.destroy(new Error('Request timed out')));
+            request.on('error', reject);
+            request.end(payload);
+        });
+    }
+}
+
+function createUpstreamDevice(config, logger) {
+    return new UpstreamDevice(config, logger);
+}
+
+exports.createUpstreamDevice = createUpstreamDevice;
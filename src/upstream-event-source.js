@@ -0,0 +1,134 @@
+const EventEmitter = require('events');
+const soapEnvelope = require('./soap-envelope');
+
+const RETRY_DELAY = 10000;
+const RENEW_INTERVAL = 60000;
+const SUBSCRIPTION_TIME = 'PT120S';
+const FAILURE_LOG_INTERVAL = 30; // Failed attempts between warnings while the real device keeps failing
+
+// Relays motion events of this camera's channel from the upstream device's pull point
+class UpstreamEventSource extends EventEmitter {
+    constructor(config, logger, upstream) {
+        super();
+        this.config = config;
+        this.logger = logger;
+        this.upstream = upstream;
+        this.options = (this.config.events && this.config.events.upstream) || {};
+        this.running = false;
+        this.subscription = null;
+        this.retryTimer = null;
+        this.failures = 0;
+    }
+
+    start() {
+        this.running = true;
+        this.run();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.retryTimer);
+        if (this.subscription) {
+            this.upstream.request(this.subscription, 'http://docs.oasis-open.org/wsn/bw-2/SubscriptionManager/UnsubscribeRequest', '<wsnt:Unsubscribe/>')
+                .catch(() => {});
+            this.subscription = null;
+        }
+    }
+
+    async run() {
+        while (this.running) {
+            try {
+                await this.subscribe();
+                if (this.failures > 0)
+                    this.logger.info(`Upstream event subscription for ${this.config.name} restored after ${this.failures} failed attempt(s)`);
+                this.failures = 0;
+                let lastRenew = Date.now();
+                while (this.running) {
+                    let envelope = await this.upstream.request(this.subscription, 'http://www.onvif.org/ver10/events/wsdl/PullPointSubscription/PullMessagesRequest',
+                        '<tev:PullMessages><tev:Timeout>PT10S</tev:Timeout><tev:MessageLimit>50</tev:MessageLimit></tev:PullMessages>');
+                    if (!this.running)
+                        break;
+                    for (let message of soapEnvelope.toArray(envelope.args.NotificationMessage))
+                        this.relay(message);
+
+                    if (Date.now() - lastRenew > RENEW_INTERVAL) {
+                        await this.upstream.request(this.subscription, 'http://docs.oasis-open.org/wsn/bw-2/SubscriptionManager/RenewRequest',
+                            `<wsnt:Renew><wsnt:TerminationTime>${SUBSCRIPTION_TIME}</wsnt:TerminationTime></wsnt:Renew>`);
+                        lastRenew = Date.now();
+                    }
+                }
+            } catch (err) {
+                // Warns on the first failure and then periodically, instead of on every retry
+                this.failures++;
+                let message = `Upstream event subscription for ${this.config.name} failed (${this.failures} time(s)): ${err.message}`;
+                if (this.failures == 1 || this.failures % FAILURE_LOG_INTERVAL == 0)
+                    this.logger.warn(message);
+                else
+                    this.logger.debug(message);
+                this.subscription = null;
+                if (this.running)
+                    await new Promise(resolve => this.retryTimer = setTimeout(resolve, RETRY_DELAY));
+            }
+        }
+    }
+
+    async subscribe() {
+        let capabilities = await this.upstream.getCapabilities();
+        if (!capabilities.Events || !capabilities.Events.XAddr)
+            throw new Error('Events are not supported');
+
+        let envelope = await this.upstream.request(capabilities.Events.XAddr, 'http://www.onvif.org/ver10/events/wsdl/EventPortType/CreatePullPointSubscriptionRequest',
+            `<tev:CreatePullPointSubscription><tev:InitialTerminationTime>${SUBSCRIPTION_TIME}</tev:InitialTerminationTime></tev:CreatePullPointSubscription>`);
+        this.subscription = soapEnvelope.textValue(envelope.args.SubscriptionReference.Address);
+        this.logger.trace(`Subscribed to upstream events for ${this.config.name} at ${this.subscription}`);
+    }
+
+    // Returns whether a message's source items reference this camera's upstream channel
+    matchesChannel(source) {
+        let tokens = [this.options.videoSourceToken, this.options.videoSourceConfigurationToken].filter(token => token);
+        return tokens.length == 0 || Object.values(source).some(value => tokens.includes(value));
+    }
+
+    relay(notification) {
+        let topic = soapEnvelope.textValue(notification.Topic) || '';
+        let message = notification.Message && notification.Message.Message;
+        if (!message)
+            return;
+
+        let source = {};
+        for (let item of soapEnvelope.toArray(message.Source && message.Source.SimpleItem))
+            source[item.attributes.Name] = item.attributes.Value;
+        let data = {};
+        for (let item of soapEnvelope.toArray(message.Data && message.Data.SimpleItem))
+            data[item.attributes.Name] = item.attributes.Value;
+
+        if (!this.matchesChannel(source))
+            return;
+
+        if (/(^|:)VideoSource\/MotionAlarm$/.test(topic) && data.State !== undefined) {
+            this.emit('event', {
+                topic: 'tns1:VideoSource/MotionAlarm',
+                source: { Source: 'video_src_token' },
+                data: { State: data.State == 'true' },
+                time: new Date()
+            });
+        } else if (/(^|:)RuleEngine\/CellMotionDetector\/Motion$/.test(topic) && data.IsMotion !== undefined) {
+            this.emit('event', {
+                topic: 'tns1:RuleEngine/CellMotionDetector/Motion',
+                source: {
+                    VideoSourceConfigurationToken: 'video_src_config_token',
+                    VideoAnalyticsConfigurationToken: source.VideoAnalyticsConfigurationToken || 'video_analytics_config_token',
+                    Rule: source.Rule || 'MotionDetectorRule'
+                },
+                data: { IsMotion: data.IsMotion == 'true' },
+                time: new Date()
+            });
+        }
+    }
+}
+
+function createUpstreamEventSource(config, logger, upstream) {
+    return new UpstreamEventSource(config, logger, upstream);
+}
+
+exports.createUpstreamEventSource = createUpstreamEventSource;
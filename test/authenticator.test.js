@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const authenticator = require('../src/authenticator');
+const httpDigest = require('../src/http-digest');
+const soapEnvelope = require('../src/soap-envelope');
+
+const logger = { trace: () => {}, error: () => {} };
+
+function createRequest(challenge, nc) {
+    let authorization = httpDigest.createAuthorization(httpDigest.parseHeader(challenge), {
+        username: 'admin',
+        password: 'secret',
+        method: 'GET',
+        uri: '/api/cameras',
+        nc: nc
+    });
+    return { method: 'GET', url: '/api/cameras', headers: { authorization: authorization } };
+}
+
+test('verifyDigest accepts concurrent requests of a nonce in any order', () => {
+    let auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'secret', authentication: 'digest' }, logger);
+    let challenge = auth.createDigestChallenge(false);
+
+    assert.strictEqual(auth.verifyDigest(createRequest(challenge, 2)), true);
+    assert.strictEqual(auth.verifyDigest(createRequest(challenge, 1)), true);
+    assert.strictEqual(auth.verifyDigest(createRequest(challenge, 3)), true);
+});
+
+test('verifyDigest rejects replayed nonce counts', () => {
+    let auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'secret', authentication: 'digest' }, logger);
+    let challenge = auth.createDigestChallenge(false);
+    let request = createRequest(challenge, 1);
+
+    assert.strictEqual(auth.verifyDigest(request), true);
+    assert.strictEqual(auth.verifyDigest(request), false);
+    assert.strictEqual(auth.verifyDigest(createRequest(challenge, 1)), false);
+});
+
+test('verifyDigest rejects wrong passwords and unknown nonces', () => {
+    let auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'other', authentication: 'digest' }, logger);
+    let request = createRequest(auth.createDigestChallenge(false), 1);
+    assert.strictEqual(auth.verifyDigest(request), false);
+
+    request = createRequest('Digest realm="ONVIF Test", qop="auth", algorithm=MD5, nonce="unknown"', 1);
+    assert.strictEqual(auth.verifyDigest(request), false);
+    assert.strictEqual(request.staleDigestNonce, true);
+});
+
+test('verifyDigest accepts responses without qop only once per nonce', () => {
+    let auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'secret', authentication: 'digest' }, logger);
+    let challenge = auth.createDigestChallenge(false).replace('qop="auth", ', '');
+    let request = createRequest(challenge, 1);
+    assert.doesNotMatch(request.headers.authorization, /qop=/);
+
+    assert.strictEqual(auth.verifyDigest(request), true);
+    request = createRequest(challenge, 1);
+    assert.strictEqual(auth.verifyDigest(request), false);
+    assert.strictEqual(request.staleDigestNonce, true);
+});
+
+test('verifyDigest only accepts the algorithm of its challenges', () => {
+    let auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'secret', authentication: 'digest' }, logger);
+    let challenge = auth.createDigestChallenge(false);
+    assert.match(challenge, /algorithm=MD5/);
+
+    assert.strictEqual(auth.verifyDigest(createRequest(challenge.replace('MD5', 'SHA-256'), 1)), false);
+    assert.strictEqual(auth.verifyDigest(createRequest(challenge, 2)), true);
+});
+
+// Returns a parsed WS-Security header with a UsernameToken like the ones ONVIF clients send
+async function createSecurity(options) {
+    options = Object.assign({ username: 'admin', password: 'secret', created: new Date(), type: 'PasswordDigest' }, options);
+    let nonce = options.nonce || crypto.randomBytes(16).toString('base64');
+    let created = soapEnvelope.formatDateTime(options.created);
+    let password = options.type == 'PasswordDigest' ?
+        crypto.createHash('sha1').update(Buffer.concat([Buffer.from(nonce, 'base64'), Buffer.from(created + options.password)])).digest('base64') :
+        options.password;
+
+    let envelope = await soapEnvelope.parse(soapEnvelope.create('<GetProfiles/>',
+        '<wsse:Security xmlns:wsse="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd" xmlns:wsu="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd">' +
+        '<wsse:UsernameToken>' +
+        `<wsse:Username>${options.username}</wsse:Username>` +
+        `<wsse:Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#${options.type}">${password}</wsse:Password>` +
+        `<wsse:Nonce>${nonce}</wsse:Nonce>` +
+        `<wsu:Created>${created}</wsu:Created>` +
+        '</wsse:UsernameToken>' +
+        '</wsse:Security>'));
+    return envelope.header.Security;
+}
+
+test('verifyUsernameToken accepts password digests and rejects replayed nonces', async () => {
+    let auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'secret' }, logger);
+    let security = await createSecurity();
+
+    assert.strictEqual(auth.verifyUsernameToken(security), true);
+    assert.strictEqual(auth.verifyUsernameToken(security), false);
+    assert.strictEqual(auth.verifyUsernameToken(await createSecurity()), true);
+});
+
+test('verifyUsernameToken rejects wrong credentials, plain text passwords and expired tokens', async () => {
+    let auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'secret' }, logger);
+
+    assert.strictEqual(auth.verifyUsernameToken(await createSecurity({ password: 'other' })), false);
+    assert.strictEqual(auth.verifyUsernameToken(await createSecurity({ username: 'guest' })), false);
+    assert.strictEqual(auth.verifyUsernameToken(await createSecurity({ type: 'PasswordText' })), false);
+    assert.strictEqual(auth.verifyUsernameToken(await createSecurity({ created: new Date(Date.now() - 10 * 60 * 1000) })), false);
+    assert.strictEqual(auth.verifyUsernameToken(await createSecurity({ created: new Date(Date.now() + 10 * 60 * 1000) })), false);
+    assert.strictEqual(auth.verifyUsernameToken(await createSecurity({ created: new Date(Date.now() - 60 * 1000) })), true);
+});
+
+test('authenticate only accepts the mechanisms of the authentication mode', async () => {
+    let request = createRequest(authenticator.createAuthenticator({ name: 'Test' }, logger).createDigestChallenge(false), 1);
+
+    let auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'secret', authentication: 'digest' }, logger);
+    assert.strictEqual(auth.authenticate(null, await createSecurity()), false);
+
+    auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'secret', authentication: 'ws-security' }, logger);
+    assert.strictEqual(auth.authenticate(request, null), false);
+    assert.strictEqual(auth.authenticate(request, await createSecurity()), true);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const cameraManager = require('../src/camera-manager');
+
+const logger = { info: () => {}, error: () => {}, debug: () => {}, trace: () => {}, warn: () => {} };
+
+const MAC = 'a2:a2:a2:a2:a2:01';
+const UUID = '14a5e4a1-57b1-4e60-aa4a-b19e6c2a3f10';
+
+const CONFIG = {
+    network: { managed: true, interface: 'eth1' },
+    onvif: [{
+        name: 'Channel1',
+        uuid: UUID,
+        mac: MAC,
+        ports: { server: 18081, rtsp: 18554 },
+        highQuality: { rtsp: '/stream1', width: 1920, height: 1080, framerate: 25, bitrate: 2048 },
+        target: { hostname: '127.0.0.1', ports: { rtsp: 10554 } }
+    }]
+};
+
+function waitFor(condition, timeout) {
+    let end = Date.now() + timeout;
+    return new Promise((resolve, reject) => {
+        let check = () => {
+            if (condition())
+                return resolve();
+            if (Date.now() > end)
+                return reject(new Error('Timed out'));
+            setTimeout(check, 50);
+        };
+        check();
+    });
+}
+
+test('cameras are retried until their managed interface has an address', async () => {
+    let links = '';
+    let address = null;
+    let calls = [];
+    let manager = cameraManager.createCameraManager(logger, {
+        network: {
+            // Creating the interface adds it to the links, but DHCP only assigns its address later
+            executor: async (args) => {
+                calls.push(args.join(' '));
+                if (args[1] == 'add')
+                    links += `7: ${args[2]}@eth1: <BROADCAST,MULTICAST> mtu 1500 qdisc noop state DOWN mode DEFAULT group default qlen 1000\\    link/ether ${args[6]} brd ff:ff:ff:ff:ff:ff\n`;
+                return args[0] == '-o' ? links : '';
+            },
+            getNetworkInterfaces: () => address ? { 'ov-a2a2a2a2a201': [{ family: 'IPv4', address: address, mac: MAC }] } : {}
+        }
+    });
+
+    try {
+        let result = await manager.apply(CONFIG);
+        assert.deepStrictEqual(result, { started: [], stopped: [], restarted: [], waiting: [UUID] });
+        assert.deepStrictEqual(calls, [
+            '-o link show',
+            'link add ov-a2a2a2a2a201 link eth1 address a2:a2:a2:a2:a2:01 type macvlan mode bridge',
+            'link set ov-a2a2a2a2a201 up'
+        ]);
+        assert.strictEqual(manager.getStatus()[0].state, 'waiting');
+        assert.strictEqual(manager.getStatus()[0].retries, 1);
+
+        address = '127.0.0.1';
+        await waitFor(() => manager.getServer(UUID), 5000);
+        let status = manager.getStatus()[0];
+        assert.strictEqual(status.state, 'running');
+        assert.strictEqual(status.hostname, '127.0.0.1');
+        assert.strictEqual(status.retries, 0);
+        // The existing interface is reused on the retry
+        assert.deepStrictEqual(calls.slice(3), ['-o link show', 'link set ov-a2a2a2a2a201 up']);
+
+        calls = [];
+        result = await manager.apply({ onvif: [] });
+        assert.deepStrictEqual(result.stopped, [UUID]);
+        assert.deepStrictEqual(calls, ['link delete ov-a2a2a2a2a201']);
+    } finally {
+        await manager.stop();
+    }
+});
+
+test('cameras without an address for several attempts warn about a missing DHCP client', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    let warnings = [];
+    let manager = cameraManager.createCameraManager(Object.assign({}, logger, { warn: (message) => warnings.push(message) }), {
+        network: {
+            executor: async (args) => args[0] == '-o' ? `7: ov-a2a2a2a2a201@eth1: <BROADCAST,MULTICAST,UP> mtu 1500\\    link/ether ${MAC} brd ff:ff:ff:ff:ff:ff\n` : '',
+            getNetworkInterfaces: () => ({})
+        }
+    });
+
+    try {
+        await manager.apply(CONFIG);
+        for (let delay of [1000, 2000]) {
+            assert.deepStrictEqual(warnings, []);
+            t.mock.timers.tick(delay);
+            await manager.enqueue(() => {});
+        }
+        assert.strictEqual(manager.getStatus()[0].retries, 3);
+        assert.deepStrictEqual(warnings, ['Channel1 still has no IPv4 address on ov-a2a2a2a2a201, is a DHCP client running on ov-a2a2a2a2a201?']);
+
+        t.mock.timers.tick(4000);
+        await manager.enqueue(() => {});
+        assert.strictEqual(warnings.length, 1);
+    } finally {
+        await manager.stop();
+    }
+});
+
+test('apply rejects when a camera fails to listen and the previous config can be restored', async () => {
+    let blocker = net.createServer();
+    await new Promise(resolve => blocker.listen(18082, '127.0.0.1', resolve));
+    let manager = cameraManager.createCameraManager(logger);
+    let camera = Object.assign({}, CONFIG.onvif[0], { mac: undefined, hostname: '127.0.0.1' });
+    let previous = { onvif: [camera] };
+
+    try {
+        await manager.apply(previous);
+        assert.strictEqual(manager.getStatus()[0].state, 'running');
+
+        let changed = { onvif: [Object.assign({}, camera, { ports: { server: 18082, rtsp: 18554 } })] };
+        await assert.rejects(manager.apply(changed), /Failed to start the virtual onvif server for Channel1: .*EADDRINUSE/);
+        assert.strictEqual(manager.getStatus()[0].state, 'waiting');
+
+        let result = await manager.apply(previous);
+        assert.deepStrictEqual(result.restarted, [UUID]);
+        assert.strictEqual(manager.getStatus()[0].state, 'running');
+        assert.strictEqual(manager.getServer(UUID).config.ports.server, 18081);
+    } finally {
+        await manager.stop();
+        blocker.close();
+    }
+});
+
+test('apply rejects when a proxy fails to listen', async () => {
+    let blocker = net.createServer();
+    await new Promise(resolve => blocker.listen(18554, '127.0.0.1', resolve));
+    let manager = cameraManager.createCameraManager(logger);
+    let camera = Object.assign({}, CONFIG.onvif[0], { mac: undefined, hostname: '127.0.0.1' });
+
+    try {
+        await assert.rejects(manager.apply({ onvif: [camera] }), /Failed to start the tcp proxy for Channel1: .*EADDRINUSE/);
+        assert.strictEqual(manager.getServer(UUID), null);
+        assert.deepStrictEqual(manager.getStatus()[0].proxies, []);
+    } finally {
+        await manager.stop();
+        blocker.close();
+    }
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const crypto = require('crypto');
+const assert = require('node:assert');
+const yaml = require('yaml');
+const configBuilder = require('../src/config-builder');
+const configValidator = require('../src/config-validator');
+
+// A config in the layout written before the builder recorded the upstream video source
+const BASELINE_CONFIG = `onvif:
+  - mac: a2:a2:a2:a2:a2:a1
+    ports:
+      server: 8081
+      rtsp: 8554
+      snapshot: 8580
+    name: Channel1
+    uuid: 15b21259-77d9-441f-9913-3ccd8a82e430
+    highQuality:
+      rtsp: /cam/realmonitor?channel=1&subtype=0&unicast=true&proto=Onvif
+      snapshot: /onvif/snapshot?channel=1&subtype=0
+      width: 2592
+      height: 1944
+      framerate: 12
+      bitrate: 2048
+      quality: 4
+    lowQuality:
+      rtsp: /cam/realmonitor?channel=1&subtype=1&unicast=true&proto=Onvif
+      snapshot: /onvif/snapshot?channel=1&subtype=1
+      width: 352
+      height: 288
+      framerate: 12
+      bitrate: 160
+      quality: 1
+    target:
+      hostname: 192.168.1.152
+      ports:
+        rtsp: 554
+        snapshot: 80
+`;
+
+function createCamera(name, rtsp, videoSourceToken, hostname) {
+    return {
+        mac: '<ONVIF PROXY MAC ADDRESS HERE>',
+        ports: { server: 8081, rtsp: 8554, snapshot: 8580 },
+        name: name,
+        uuid: crypto.randomUUID(),
+        profiles: [{ token: 'main_stream', name: 'MainStream', rtsp: rtsp, width: 2592, height: 1944, framerate: 12, bitrate: 2048 }],
+        target: { hostname: hostname || '192.168.1.152', ports: { rtsp: 554, snapshot: 80, onvif: 80 } },
+        events: { upstream: { videoSourceToken: videoSourceToken, videoSourceConfigurationToken: `${videoSourceToken}_config` } }
+    };
+}
+
+test('mergeConfig matches cameras of a baseline config by name', () => {
+    let result = configBuilder.mergeConfig(BASELINE_CONFIG, {
+        onvif: [createCamera('Channel1', '/renamed/stream', 'VideoSource_1')]
+    }, { macPrefix: 'a2:a2:a2:a2:a2' });
+
+    assert.strictEqual(result.added, 0);
+    assert.strictEqual(result.updated, 1);
+    let camera = yaml.parse(result.source).onvif[0];
+    assert.strictEqual(camera.uuid, '15b21259-77d9-441f-9913-3ccd8a82e430');
+    assert.strictEqual(camera.mac, 'a2:a2:a2:a2:a2:a1');
+    assert.strictEqual(camera.highQuality, undefined);
+    assert.strictEqual(camera.events.upstream.videoSourceToken, 'VideoSource_1');
+    assert.deepStrictEqual(configValidator.validateConfig(result.source).errors, []);
+});
+
+test('mergeConfig matches cameras of a baseline config by RTSP path', () => {
+    let result = configBuilder.mergeConfig(BASELINE_CONFIG, {
+        onvif: [createCamera('Garage', '/cam/realmonitor?channel=1&subtype=0&unicast=true&proto=Onvif', 'VideoSource_1')]
+    }, {});
+
+    assert.strictEqual(result.updated, 1);
+    let cameras = yaml.parse(result.source).onvif;
+    assert.strictEqual(cameras.length, 1);
+    assert.strictEqual(cameras[0].name, 'Channel1');
+    assert.strictEqual(cameras[0].uuid, '15b21259-77d9-441f-9913-3ccd8a82e430');
+});
+
+test('mergeConfig matches regenerated cameras by video source and adds new channels', () => {
+    let first = configBuilder.mergeConfig(BASELINE_CONFIG, {
+        onvif: [createCamera('Channel1', '/a', 'VideoSource_1')]
+    }, {});
+    let result = configBuilder.mergeConfig(first.source, {
+        onvif: [createCamera('Renamed', '/b', 'VideoSource_1'), createCamera('Channel2', '/c', 'VideoSource_2')]
+    }, { macPrefix: 'a2:a2:a2:a2:a2' });
+
+    assert.strictEqual(result.updated, 1);
+    assert.strictEqual(result.added, 1);
+    let cameras = yaml.parse(result.source).onvif;
+    assert.strictEqual(cameras[0].name, 'Channel1');
+    assert.strictEqual(cameras[0].profiles[0].rtsp, '/b');
+    assert.strictEqual(cameras[1].ports.server, 8082);
+    assert.strictEqual(cameras[1].mac, 'a2:a2:a2:a2:a2:01');
+});
+
+test('mergeConfig gives channels of several NVRs with the same names unique names', () => {
+    let settings = { macPrefix: 'a2:a2:a2:a2:a2' };
+    let first = configBuilder.mergeConfig('', {
+        onvif: [createCamera('VideoSource_1', '/a', 'VideoSource_1', '192.168.1.152'), createCamera('VideoSource_2', '/b', 'VideoSource_2', '192.168.1.152')]
+    }, settings);
+    let result = configBuilder.mergeConfig(first.source, {
+        onvif: [createCamera('VideoSource_1', '/a', 'VideoSource_1', '192.168.1.153'), createCamera('VideoSource_1', '/b', 'VideoSource_2', '192.168.1.153')]
+    }, settings);
+
+    assert.strictEqual(result.added, 2);
+    let cameras = yaml.parse(result.source).onvif;
+    assert.deepStrictEqual(cameras.map(camera => camera.name),
+        ['VideoSource_1', 'VideoSource_2', 'VideoSource_1-192.168.1.153', 'VideoSource_1-192.168.1.153-2']);
+    assert.deepStrictEqual(configValidator.validateConfig(result.source).errors, []);
+
+    // Merging the second NVR again updates its cameras instead of adding them once more
+    result = configBuilder.mergeConfig(result.source, {
+        onvif: [createCamera('VideoSource_1', '/a', 'VideoSource_1', '192.168.1.153'), createCamera('VideoSource_1', '/b', 'VideoSource_2', '192.168.1.153')]
+    }, settings);
+    assert.strictEqual(result.added, 0);
+    assert.strictEqual(result.updated, 2);
+});
+
+test('mergeConfig gives cameras in single IP mode ports of their own instead of MAC addresses', () => {
+    let settings = { hostname: '192.168.1.184', serverPort: 8081, rtspPort: 8554, snapshotPort: 8580 };
+    let first = configBuilder.mergeConfig('', {
+        onvif: [createCamera('Channel1', '/a', 'VideoSource_1'), createCamera('Channel2', '/b', 'VideoSource_2')]
+    }, settings);
+    let result = configBuilder.mergeConfig(first.source, {
+        onvif: [createCamera('Channel3', '/c', 'VideoSource_3')]
+    }, settings);
+
+    let config = yaml.parse(result.source);
+    assert.strictEqual(Object.keys(config)[0], 'hostname');
+    assert.strictEqual(config.hostname, '192.168.1.184');
+    assert.deepStrictEqual(config.onvif.map(camera => [camera.mac, camera.ports]), [
+        [undefined, { server: 8081, rtsp: 8554, snapshot: 8580 }],
+        [undefined, { server: 8082, rtsp: 8555, snapshot: 8581 }],
+        [undefined, { server: 8083, rtsp: 8556, snapshot: 8582 }]
+    ]);
+    assert.deepStrictEqual(configValidator.validateConfig(result.source).errors, []);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const configValidator = require('../src/config-validator');
+
+const CAMERA = `  - mac: a2:a2:a2:a2:a2:a1
+    ports:
+      server: 8081
+      rtsp: 8554
+      snapshot: 8580
+    name: Channel1
+    uuid: 15b21259-77d9-441f-9913-3ccd8a82e430
+    highQuality: &high
+      rtsp: /cam/realmonitor?channel=1&subtype=0&unicast=true&proto=Onvif
+      snapshot: /onvif/snapshot?channel=1&subtype=0
+      width: 2592
+      height: 1944
+      framerate: 12
+      bitrate: 2048
+      quality: 4
+    target: &target
+      hostname: 192.168.1.152
+      ports:
+        rtsp: 554
+        snapshot: 80
+`;
+
+test('validateConfig resolves aliases', () => {
+    let result = configValidator.validateConfig(`onvif:
+${CAMERA}  - mac: a2:a2:a2:a2:a2:a2
+    ports:
+      server: 8082
+      rtsp: &rtsp 8555
+      snapshot: 8581
+    name: Channel2
+    uuid: 25b21259-77d9-441f-9913-3ccd8a82e430
+    highQuality: *high
+    lowQuality: *high
+    target: *target
+`);
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.config.onvif[1].highQuality.width, 2592);
+    assert.strictEqual(result.config.onvif[1].target.hostname, '192.168.1.152');
+});
+
+test('validateConfig allows unknown keys that only define an anchor', () => {
+    let result = configValidator.validateConfig(`defaults: &defaults
+  hostname: 192.168.1.152
+onvif:
+${CAMERA.replace('target: &target', 'target:')}`);
+
+    assert.deepStrictEqual(result.errors, []);
+});
+
+test('validateConfig checks the nodes aliases refer to', () => {
+    let result = configValidator.validateConfig(`port: &port 99999
+onvif:
+${CAMERA.replace('server: 8081', 'server: *port')}  - mac: a2:a2:a2:a2:a2:a1
+    name: *name
+    uuid: 15b21259-77d9-441f-9913-3ccd8a82e430
+    highQuality: *high
+    target: *target
+`.replace('name: Channel1', 'name: &name Channel1'));
+
+    assert.deepStrictEqual(result.errors.map(configValidator.formatError), [
+        'onvif[0].ports.server (line 1): must be at most 65535',
+        'onvif[1].mac (line 23): duplicate MAC address \'a2:a2:a2:a2:a2:a1\', already used by onvif[0]',
+        'onvif[1].name (line 24): duplicate name \'Channel1\', already used by onvif[0]',
+        'onvif[1].uuid (line 25): duplicate uuid \'15b21259-77d9-441f-9913-3ccd8a82e430\', already used by onvif[0]'
+    ]);
+});
+
+test('validateConfig checks settings merged with <<', () => {
+    let result = configValidator.validateConfig(`defaults: &defaults
+  highQuality:
+    rtsp: /stream1
+    width: 1920
+    height: 1080
+    framerate: 25
+    bitrate: 2048
+  target:
+    hostname: 192.168.1.152
+    ports:
+      rtsp: 554
+onvif:
+  - <<: *defaults
+    mac: a2:a2:a2:a2:a2:a1
+    ports: { server: 8081, rtsp: 8554 }
+    name: Channel1
+    uuid: 15b21259-77d9-441f-9913-3ccd8a82e430
+  - <<: *defaults
+    mac: a2:a2:a2:a2:a2:a2
+    ports:
+      <<: { server: 8082, rtsp: 8555 }
+      rtsp: 99999
+    name: Channel2
+    uuid: 25b21259-77d9-441f-9913-3ccd8a82e430
+`);
+
+    assert.deepStrictEqual(result.errors.map(configValidator.formatError), [
+        'onvif[1].ports.rtsp (line 22): must be at most 65535'
+    ]);
+
+    result = configValidator.validateConfig(`defaults: &defaults
+  target:
+    hostname: 192.168.1.152
+onvif:
+  - <<: *defaults
+    mac: a2:a2:a2:a2:a2:a1
+    name: Channel1
+    uuid: 15b21259-77d9-441f-9913-3ccd8a82e430
+    highQuality: { rtsp: /stream1, width: 1920, height: 1080, framerate: 25, bitrate: 2048 }
+`);
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.config.onvif[0].target.hostname, '192.168.1.152');
+});
+
+test('validateConfig checks the ports of the admin API and the dashboard', () => {
+    let result = configValidator.validateConfig(`hostname: 192.168.1.184
+bindAddress: 0.0.0.0
+admin:
+  port: 8081
+  token: 0123456789abcdef
+dashboard:
+  port: 8090
+  hostname: 192.168.1.184
+  username: admin
+  password: secret
+onvif:
+  - ports:
+      server: 8081
+      rtsp: 8554
+    name: Channel1
+    uuid: 15b21259-77d9-441f-9913-3ccd8a82e430
+    highQuality: { rtsp: /stream1, width: 1920, height: 1080, framerate: 25, bitrate: 2048 }
+    target:
+      hostname: 192.168.1.152
+  - mac: a2:a2:a2:a2:a2:a2
+    ports:
+      server: 8090
+      rtsp: 8555
+    name: Channel2
+    uuid: 25b21259-77d9-441f-9913-3ccd8a82e430
+    highQuality: { rtsp: /stream1, width: 1920, height: 1080, framerate: 25, bitrate: 2048 }
+    target:
+      hostname: 192.168.1.152
+`);
+
+    assert.deepStrictEqual(result.errors.map(configValidator.formatError), [
+        'admin.port (line 4): port 8081 on 127.0.0.1 is already used by onvif[0].ports.server'
+    ]);
+});
@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dashboardServer = require('../src/dashboard-server');
+const onvifServer = require('../src/onvif-server');
+const httpDigest = require('../src/http-digest');
+
+const logger = { info: () => {}, error: () => {}, trace: () => {} };
+
+const CONFIG = `onvif:
+  - mac: a2:a2:a2:a2:a2:a1
+    ports:
+      server: 8081
+      rtsp: 8554
+    name: Channel1
+    uuid: 15b21259-77d9-441f-9913-3ccd8a82e430
+    highQuality:
+      rtsp: /stream1
+      width: 1920
+      height: 1080
+      framerate: 25
+      bitrate: 2048
+    target:
+      hostname: 192.168.1.152
+      ports:
+        rtsp: 554
+`;
+
+function send(port, method, requestPath, headers, body) {
+    return new Promise((resolve, reject) => {
+        let request = http.request({ host: '127.0.0.1', port: port, method: method, path: requestPath, headers: headers }, (response) => {
+            let chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Starts a dashboard on a free port with a config file of its own, returning a client that logs in with HTTP Digest
+async function startDashboard(t, manager) {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-'));
+    let configFile = path.join(directory, 'config.yaml');
+    fs.writeFileSync(configFile, CONFIG);
+
+    let dashboard = dashboardServer.createDashboardServer(manager || { getStatus: () => [], getServer: () => null }, logger, {
+        port: 0,
+        username: 'admin',
+        password: 'secret',
+        configFile: configFile
+    });
+    dashboard.start();
+    await new Promise(resolve => dashboard.server.once('listening', resolve));
+    t.after(() => {
+        fs.rmSync(directory, { recursive: true });
+        return dashboard.stop();
+    });
+
+    let port = dashboard.server.address().port;
+    let challenge = null;
+    let nc = 0;
+    return {
+        configFile: configFile,
+        request: async (method, requestPath, headers, body) => {
+            if (!challenge) {
+                let response = await send(port, method, requestPath, {});
+                challenge = httpDigest.selectChallenge([response.headers['www-authenticate']]);
+            }
+            let authorization = httpDigest.createAuthorization(challenge, {
+                username: 'admin', password: 'secret', method: method, uri: requestPath, nc: ++nc
+            });
+            let response = await send(port, method, requestPath, Object.assign({ Authorization: authorization, Host: `127.0.0.1:${port}` }, headers), body);
+            response.json = () => JSON.parse(response.body);
+            return response;
+        },
+        origin: `http://127.0.0.1:${port}`
+    };
+}
+
+test('dashboard saves configs posted as JSON from its own page', async (t) => {
+    let dashboard = await startDashboard(t);
+    let source = CONFIG.replace('Channel1', 'Garage');
+
+    let response = await dashboard.request('POST', '/api/config', { 'Content-Type': 'application/json', Origin: dashboard.origin }, JSON.stringify({ source: source }));
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(fs.readFileSync(dashboard.configFile, 'utf8'), source);
+});
+
+test('dashboard rejects config changes that are no JSON', async (t) => {
+    let dashboard = await startDashboard(t);
+
+    let response = await dashboard.request('POST', '/api/config', { 'Content-Type': 'text/plain', Origin: dashboard.origin }, JSON.stringify({ source: 'onvif: []' }));
+    assert.strictEqual(response.statusCode, 415);
+    assert.strictEqual(fs.readFileSync(dashboard.configFile, 'utf8'), CONFIG);
+});
+
+test('dashboard rejects config changes from other origins and hosts', async (t) => {
+    let dashboard = await startDashboard(t);
+    let body = JSON.stringify({ source: CONFIG.replace('Channel1', 'Garage') });
+
+    let response = await dashboard.request('POST', '/api/config', { 'Content-Type': 'application/json', Origin: 'http://attacker.example' }, body);
+    assert.strictEqual(response.statusCode, 403);
+
+    response = await dashboard.request('POST', '/api/create-config', { 'Content-Type': 'application/json', Host: 'attacker.example', Origin: 'http://attacker.example' },
+        JSON.stringify({ hostname: '192.168.1.1' }));
+    assert.strictEqual(response.statusCode, 403);
+    assert.strictEqual(fs.readFileSync(dashboard.configFile, 'utf8'), CONFIG);
+});
+
+test('dashboard listens on 127.0.0.1 unless a hostname is set', async (t) => {
+    let dashboard = dashboardServer.createDashboardServer({}, logger, { port: 0, username: 'admin', password: 'secret' });
+    dashboard.start();
+    await new Promise(resolve => dashboard.server.once('listening', resolve));
+    t.after(() => dashboard.stop());
+
+    assert.strictEqual(dashboard.server.address().address, '127.0.0.1');
+});
+
+test('dashboard requires a login', async (t) => {
+    let dashboard = await startDashboard(t);
+    let port = new URL(dashboard.origin).port;
+
+    let response = await send(port, 'GET', '/api/cameras', {});
+    assert.strictEqual(response.statusCode, 401);
+    assert.match(response.headers['www-authenticate'], /^Digest realm="ONVIF Dashboard", qop="auth"/);
+
+    response = await dashboard.request('GET', '/');
+    assert.strictEqual(response.statusCode, 200);
+    assert.match(response.headers['content-type'], /^text\/html/);
+});
+
+test('dashboard lists the cameras with the URLs to enter in an NVR', async (t) => {
+    let server = onvifServer.createServer({
+        name: 'Channel1',
+        uuid: '15b21259-77d9-441f-9913-3ccd8a82e430',
+        hostname: '127.0.0.1',
+        ports: { server: 8081, rtsp: 8554 },
+        highQuality: { rtsp: '/stream1', width: 1920, height: 1080, framerate: 25, bitrate: 2048 },
+        target: { hostname: '192.168.1.152', ports: { rtsp: 554 } }
+    }, logger);
+    let dashboard = await startDashboard(t, {
+        getStatus: () => [
+            { uuid: '15b21259-77d9-441f-9913-3ccd8a82e430', name: 'Channel1', state: 'running' },
+            { uuid: '25b21259-77d9-441f-9913-3ccd8a82e430', name: 'Channel2', state: 'waiting' }
+        ],
+        getServer: (id) => id == server.config.uuid ? server : null
+    });
+
+    let response = await dashboard.request('GET', '/api/cameras');
+    assert.deepStrictEqual(response.json(), [
+        {
+            uuid: '15b21259-77d9-441f-9913-3ccd8a82e430',
+            name: 'Channel1',
+            state: 'running',
+            onvifUrl: 'http://127.0.0.1:8081/onvif/device_service',
+            streams: [{
+                token: 'main_stream', name: 'MainStream', width: 1920, height: 1080,
+                rtspUrl: 'rtsp://127.0.0.1:8554/stream1',
+                snapshotUrl: 'http://127.0.0.1:8081/snapshot.png'
+            }]
+        },
+        { uuid: '25b21259-77d9-441f-9913-3ccd8a82e430', name: 'Channel2', state: 'waiting', onvifUrl: null, streams: [] }
+    ]);
+
+    response = await dashboard.request('GET', '/api/cameras/15b21259-77d9-441f-9913-3ccd8a82e430/snapshot');
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers['content-type'], 'image/png');
+
+    response = await dashboard.request('GET', '/api/cameras/25b21259-77d9-441f-9913-3ccd8a82e430/snapshot');
+    assert.strictEqual(response.statusCode, 404);
+});
+
+test('dashboard does not save invalid configs', async (t) => {
+    let dashboard = await startDashboard(t);
+    let headers = { 'Content-Type': 'application/json', Origin: dashboard.origin };
+
+    let response = await dashboard.request('POST', '/api/config', headers, JSON.stringify({ source: CONFIG.replace('width: 1920', 'width: wide') }));
+    assert.strictEqual(response.statusCode, 422);
+    assert.deepStrictEqual(response.json().errors, ['onvif[0].highQuality.width (line 10): must be an integer']);
+    assert.strictEqual(fs.readFileSync(dashboard.configFile, 'utf8'), CONFIG);
+
+    response = await dashboard.request('POST', '/api/config', headers, JSON.stringify({}));
+    assert.strictEqual(response.statusCode, 400);
+});
+
+test('dashboard checks NVR imports before contacting the NVR', async (t) => {
+    let dashboard = await startDashboard(t);
+    let headers = { 'Content-Type': 'application/json', Origin: dashboard.origin };
+
+    let response = await dashboard.request('POST', '/api/create-config', headers, JSON.stringify({ username: 'admin' }));
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(response.json().error, 'The hostname of the NVR is required');
+
+    response = await dashboard.request('POST', '/api/create-config', headers, JSON.stringify({ hostname: '192.168.1.152', macPrefix: 'a1:a2' }));
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(response.json().error, 'Invalid MAC prefix a1:a2');
+});
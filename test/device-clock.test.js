@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const deviceClock = require('../src/device-clock');
+const authenticator = require('../src/authenticator');
+const soapEnvelope = require('../src/soap-envelope');
+
+const logger = { trace: () => {}, error: () => {} };
+
+// A device client whose GetSystemDateAndTime reports the given time in UTC
+function createClient(date) {
+    return {
+        GetSystemDateAndTimeAsync: async () => [{
+            SystemDateAndTime: date && {
+                DateTimeType: 'NTP',
+                UTCDateTime: {
+                    Time: { Hour: date.getUTCHours(), Minute: date.getUTCMinutes(), Second: date.getUTCSeconds() },
+                    Date: { Year: date.getUTCFullYear(), Month: date.getUTCMonth() + 1, Day: date.getUTCDate() }
+                }
+            }
+        }]
+    };
+}
+
+test('getClockOffset returns how far the device clock is ahead in whole seconds', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 15, 12, 0, 0, 400) });
+
+    assert.strictEqual(await deviceClock.getClockOffset(createClient(new Date(Date.UTC(2024, 0, 15, 13, 30, 0)))), 90 * 60 * 1000);
+    assert.strictEqual(await deviceClock.getClockOffset(createClient(new Date(Date.UTC(2024, 0, 15, 11, 59, 18)))), -42 * 1000);
+    assert.strictEqual(await deviceClock.getClockOffset(createClient(new Date(Date.UTC(2024, 0, 15, 12, 0, 1)))), 1000);
+    await assert.rejects(deviceClock.getClockOffset(createClient(null)), /did not report its UTC time/);
+});
+
+test('formatClockOffset describes the offset', () => {
+    assert.strictEqual(deviceClock.formatClockOffset(0), 'The clock of the device is in sync');
+    assert.strictEqual(deviceClock.formatClockOffset(42 * 1000), 'The clock of the device is 42s ahead, compensating for it');
+    assert.strictEqual(deviceClock.formatClockOffset(-(2 * 3600 + 5) * 1000), 'The clock of the device is 2h 0m 5s behind, compensating for it');
+});
+
+test('createSecurity signs tokens at the device time', async () => {
+    let verify = async (clockOffset) => {
+        let auth = authenticator.createAuthenticator({ name: 'Test', username: 'admin', password: 'secret' }, logger);
+        let security = deviceClock.createSecurity('admin', 'secret', clockOffset);
+        let envelope = await soapEnvelope.parse(soapEnvelope.create('<GetProfiles/>', security.toXML()));
+        return {
+            created: Date.parse(soapEnvelope.textValue(envelope.header.Security.UsernameToken.Created)),
+            valid: auth.verifyUsernameToken(envelope.header.Security)
+        };
+    };
+
+    let token = await verify(0);
+    assert.strictEqual(token.valid, true);
+
+    // A device an hour ahead accepts the token, while our own clock rejects it
+    token = await verify(60 * 60 * 1000);
+    assert.ok(Math.abs(token.created - (Date.now() + 60 * 60 * 1000)) < 5000);
+    assert.strictEqual(token.valid, false);
+});
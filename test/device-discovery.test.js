@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const deviceDiscovery = require('../src/device-discovery');
+const soapEnvelope = require('../src/soap-envelope');
+
+const PROBE_MATCHES = `<?xml version="1.0" encoding="UTF-8"?>
+<SOAP-ENV:Envelope xmlns:SOAP-ENV="http://www.w3.org/2003/05/soap-envelope" xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing" xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dn="http://www.onvif.org/ver10/network/wsdl">
+    <SOAP-ENV:Header>
+        <wsa:MessageID>uuid:5f2c1a3e-2b1d-4c8e-9a7f-0e6d5c4b3a21</wsa:MessageID>
+        <wsa:RelatesTo>urn:uuid:0a6dc791-2e56-4fcd-8e4b-e5ff1a2b3c4d</wsa:RelatesTo>
+        <wsa:Action>http://schemas.xmlsoap.org/ws/2005/04/discovery/ProbeMatches</wsa:Action>
+    </SOAP-ENV:Header>
+    <SOAP-ENV:Body>
+        <d:ProbeMatches>
+            <d:ProbeMatch>
+                <wsa:EndpointReference><wsa:Address>urn:uuid:2419d68a-2dd2-21b2-a205-a2a2a2a2a2a1</wsa:Address></wsa:EndpointReference>
+                <d:Types>dn:NetworkVideoTransmitter</d:Types>
+                <d:Scopes>onvif://www.onvif.org/type/video_encoder onvif://www.onvif.org/hardware/Dahua onvif://www.onvif.org/name/NVR5216-16P-4KS2E onvif://www.onvif.org/location/country/china</d:Scopes>
+                <d:XAddrs>http://[fe80::1]/onvif/device_service http://192.168.1.152:8080/onvif/device_service</d:XAddrs>
+                <d:MetadataVersion>1</d:MetadataVersion>
+            </d:ProbeMatch>
+            <d:ProbeMatch>
+                <wsa:EndpointReference><wsa:Address>urn:uuid:3519d68a-2dd2-21b2-a205-a2a2a2a2a2a2</wsa:Address></wsa:EndpointReference>
+                <d:Scopes>onvif://www.onvif.org/hardware/Virtual%20Device</d:Scopes>
+                <d:XAddrs></d:XAddrs>
+            </d:ProbeMatch>
+        </d:ProbeMatches>
+    </SOAP-ENV:Body>
+</SOAP-ENV:Envelope>`;
+
+test('getProbeMatches reads the devices of a ProbeMatches message', async () => {
+    let devices = deviceDiscovery.getProbeMatches(await soapEnvelope.parse(PROBE_MATCHES));
+
+    assert.deepStrictEqual(devices, [{
+        address: 'urn:uuid:2419d68a-2dd2-21b2-a205-a2a2a2a2a2a1',
+        uuid: '2419d68a-2dd2-21b2-a205-a2a2a2a2a2a1',
+        hostname: '192.168.1.152:8080',
+        xaddrs: ['http://[fe80::1]/onvif/device_service', 'http://192.168.1.152:8080/onvif/device_service'],
+        scopes: [
+            'onvif://www.onvif.org/type/video_encoder',
+            'onvif://www.onvif.org/hardware/Dahua',
+            'onvif://www.onvif.org/name/NVR5216-16P-4KS2E',
+            'onvif://www.onvif.org/location/country/china'
+        ],
+        manufacturer: 'Dahua',
+        model: 'NVR5216-16P-4KS2E'
+    }]);
+});
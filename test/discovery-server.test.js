@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const discoveryServer = require('../src/discovery-server');
+const soapEnvelope = require('../src/soap-envelope');
+
+const logger = { trace: () => {}, error: () => {} };
+
+function createServer(uuid, hostname, scopes) {
+    return {
+        getDiscoveryInfo: () => ({
+            uuid: uuid,
+            hostname: hostname,
+            localAddress: hostname,
+            port: 8081,
+            scopes: scopes || ['onvif://www.onvif.org/type/video_encoder', 'onvif://www.onvif.org/name/Channel1'],
+            metadataVersion: 1
+        }),
+        setDiscoveryServer: () => {}
+    };
+}
+
+// Creates a discovery server that records its multicasts instead of sending them
+function createDiscovery(servers) {
+    let discovery = discoveryServer.createDiscoveryServer(servers, logger);
+    discovery.sent = [];
+    discovery.multicast = async (address, message) => discovery.sent.push({ address: address, message: message });
+    return discovery;
+}
+
+function createProbe(probe) {
+    return soapEnvelope.create(`<d:Probe xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery">${probe}</d:Probe>`,
+        '<wsa:MessageID xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">urn:uuid:0a6dc791-2e56-4fcd-8e4b-e5ff1a2b3c4d</wsa:MessageID>' +
+        '<wsa:Action xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">http://schemas.xmlsoap.org/ws/2005/04/discovery/Probe</wsa:Action>');
+}
+
+async function getAddresses(responses) {
+    let addresses = [];
+    for (let response of responses) {
+        let envelope = await soapEnvelope.parse(response);
+        let matches = envelope.body.ProbeMatches || envelope.body.ResolveMatches;
+        for (let match of soapEnvelope.toArray(matches.ProbeMatch || matches.ResolveMatch))
+            addresses.push(soapEnvelope.textValue(match.EndpointReference.Address));
+    }
+    return addresses;
+}
+
+const SERVERS = [
+    createServer('11111111-1111-4111-8111-111111111111', '192.168.1.184'),
+    createServer('22222222-2222-4222-8222-222222222222', '192.168.1.185', ['onvif://www.onvif.org/type/video_encoder', 'onvif://www.onvif.org/name/Garage'])
+];
+
+test('Hello and Bye announce a device from its own address with increasing message numbers', async () => {
+    let discovery = createDiscovery([]);
+    let server = SERVERS[0];
+
+    await discovery.sendHello(server);
+    await discovery.sendBye(server);
+
+    assert.deepStrictEqual(discovery.sent.map(message => message.address), ['192.168.1.184', '192.168.1.184']);
+    let hello = await soapEnvelope.parse(discovery.sent[0].message);
+    let bye = await soapEnvelope.parse(discovery.sent[1].message);
+    assert.strictEqual(hello.operation, 'Hello');
+    assert.strictEqual(soapEnvelope.textValue(hello.args.XAddrs), 'http://192.168.1.184:8081/onvif/device_service');
+    assert.strictEqual(bye.operation, 'Bye');
+    assert.strictEqual(soapEnvelope.textValue(bye.args.EndpointReference.Address), 'urn:uuid:11111111-1111-4111-8111-111111111111');
+
+    let helloSequence = hello.header.AppSequence.attributes;
+    let byeSequence = bye.header.AppSequence.attributes;
+    assert.strictEqual(helloSequence.MessageNumber, '1');
+    assert.strictEqual(byeSequence.MessageNumber, '2');
+    assert.strictEqual(byeSequence.InstanceId, helloSequence.InstanceId);
+});
+
+test('probes are answered for the devices matching their types and scopes', async () => {
+    let discovery = createDiscovery(SERVERS);
+
+    let responses = await discovery.handleMessage(createProbe('<d:Types xmlns:dn="http://www.onvif.org/ver10/network/wsdl">dn:NetworkVideoTransmitter</d:Types>'), SERVERS, false);
+    assert.deepStrictEqual(await getAddresses(responses), [
+        'urn:uuid:11111111-1111-4111-8111-111111111111',
+        'urn:uuid:22222222-2222-4222-8222-222222222222'
+    ]);
+    assert.match(responses[0], /<wsa:RelatesTo>urn:uuid:0a6dc791-2e56-4fcd-8e4b-e5ff1a2b3c4d<\/wsa:RelatesTo>/);
+
+    responses = await discovery.handleMessage(createProbe('<d:Scopes>onvif://www.onvif.org/name/Garage</d:Scopes>'), SERVERS, false);
+    assert.deepStrictEqual(await getAddresses(responses), ['urn:uuid:22222222-2222-4222-8222-222222222222']);
+
+    // Scopes match by whole path segments
+    responses = await discovery.handleMessage(createProbe('<d:Scopes>onvif://www.onvif.org/name/Gar</d:Scopes>'), SERVERS, false);
+    assert.deepStrictEqual(responses, []);
+
+    responses = await discovery.handleMessage(createProbe('<d:Types xmlns:tds="http://www.onvif.org/ver10/device/wsdl">tds:Device</d:Types>'), SERVERS, false);
+    assert.deepStrictEqual(responses, []);
+    assert.ok(discovery.getLastAnswer('22222222-2222-4222-8222-222222222222') instanceof Date);
+});
+
+test('directed probes always get an answer', async () => {
+    let discovery = createDiscovery(SERVERS);
+
+    let responses = await discovery.handleMessage(createProbe('<d:Scopes>onvif://www.onvif.org/name/Kitchen</d:Scopes>'), [SERVERS[0]], true);
+    assert.strictEqual(responses.length, 1);
+    let envelope = await soapEnvelope.parse(responses[0]);
+    assert.strictEqual(envelope.operation, 'ProbeMatches');
+    assert.strictEqual(envelope.args, '');
+});
+
+test('resolve requests are answered for the device with the address', async () => {
+    let discovery = createDiscovery(SERVERS);
+    let createResolve = (address) => soapEnvelope.create(
+        `<d:Resolve xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing"><wsa:EndpointReference><wsa:Address>${address}</wsa:Address></wsa:EndpointReference></d:Resolve>`,
+        '<wsa:Action xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">http://schemas.xmlsoap.org/ws/2005/04/discovery/Resolve</wsa:Action>');
+
+    let responses = await discovery.handleMessage(createResolve('urn:uuid:22222222-2222-4222-8222-222222222222'), SERVERS, false);
+    assert.deepStrictEqual(await getAddresses(responses), ['urn:uuid:22222222-2222-4222-8222-222222222222']);
+    assert.match(responses[0], /ResolveMatches<\/wsa:Action>/);
+
+    responses = await discovery.handleMessage(createResolve('urn:uuid:33333333-3333-4333-8333-333333333333'), SERVERS, false);
+    assert.deepStrictEqual(responses, []);
+});
+
+test('announcements of other devices are not answered', async () => {
+    let discovery = createDiscovery(SERVERS);
+    await discovery.sendHello(createServer('33333333-3333-4333-8333-333333333333', '192.168.1.186'));
+
+    assert.deepStrictEqual(await discovery.handleMessage(discovery.sent[0].message, SERVERS, false), []);
+});
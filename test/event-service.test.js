@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const eventService = require('../src/event-service');
+const triggerEventSource = require('../src/trigger-event-source');
+
+const logger = { trace: () => {}, debug: () => {} };
+
+const CONFIG = { name: 'Channel1', hostname: '192.168.1.184', ports: { server: 8081 } };
+
+class FakeResponse extends EventEmitter {
+    constructor() {
+        super();
+        this.writableEnded = false;
+        this.body = null;
+    }
+
+    writeHead(statusCode) {
+        this.statusCode = statusCode;
+    }
+
+    end(body) {
+        this.writableEnded = true;
+        this.body = body;
+    }
+
+    // Returns the PropertyOperation and data of the notifications in a PullMessages response
+    getMessages() {
+        let messages = [];
+        let pattern = /PropertyOperation="(\w+)">.*?<tt:Data><tt:SimpleItem Name="(\w+)" Value="(\w+)"\/>/g;
+        for (let match of this.body.matchAll(pattern))
+            messages.push(`${match[1]} ${match[2]}=${match[3]}`);
+        return messages;
+    }
+}
+
+function createService(args) {
+    let service = eventService.createEventService(CONFIG, logger, () => 0);
+    let response = new FakeResponse();
+    service.createSubscription(Object.assign({ InitialTerminationTime: 'PT60S' }, args), response);
+    let subscription = service.subscriptions.values().next().value;
+    return { service: service, subscription: subscription, response: response };
+}
+
+function pull(service, subscription, timeout) {
+    let response = new FakeResponse();
+    service.pullMessages(subscription, { Timeout: timeout, MessageLimit: '10' }, response);
+    return response;
+}
+
+test('new subscriptions get the initial motion state', () => {
+    let { service, subscription } = createService();
+
+    let response = pull(service, subscription, 'PT0S');
+    assert.deepStrictEqual(response.getMessages(), [
+        'Initialized State=false',
+        'Initialized IsMotion=false',
+        'Initialized ClassTypes=Human',
+        'Initialized ClassTypes=Vehicle',
+        'Initialized ClassTypes=Animal',
+        'Initialized ClassTypes=Face'
+    ]);
+});
+
+test('the first motion is a change and its events are pulled together', async () => {
+    let { service, subscription } = createService();
+    pull(service, subscription, 'PT0S');
+
+    let source = triggerEventSource.createTriggerEventSource({ name: 'Channel1' }, logger);
+    service.addSource(source);
+    let response = pull(service, subscription, 'PT10S');
+    source.trigger({ type: 'motion', state: true });
+    assert.strictEqual(response.body, null);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(response.getMessages(), ['Changed State=true', 'Changed IsMotion=true']);
+    source.stop();
+});
+
+test('events of a closed pull stay queued for the next one', async () => {
+    let { service, subscription } = createService();
+    pull(service, subscription, 'PT0S');
+
+    let response = pull(service, subscription, 'PT10S');
+    service.publish({ topic: 'tns1:VideoSource/MotionAlarm', source: { Source: 'video_src_token' }, data: { State: true }, time: new Date() });
+    response.emit('close');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(response.body, null);
+
+    response = pull(service, subscription, 'PT0S');
+    assert.deepStrictEqual(response.getMessages(), ['Changed State=true']);
+});
+
+test('the first object detection is a change', async () => {
+    let { service, subscription } = createService();
+    pull(service, subscription, 'PT0S');
+
+    let source = triggerEventSource.createTriggerEventSource({ name: 'Channel1' }, logger);
+    service.addSource(source);
+    source.trigger({ type: 'object', objectType: 'Vehicle', state: true });
+    let response = pull(service, subscription, 'PT0S');
+    assert.deepStrictEqual(response.getMessages(), ['Changed ClassTypes=Vehicle']);
+    assert.match(response.body, /<tt:SimpleItem Name="Rule" Value="Vehicle"\/>.*<tt:SimpleItem Name="State" Value="true"\/>/);
+    source.stop();
+});
+
+test('subscription addresses are random', () => {
+    let { response } = createService();
+    let address = /<wsa:Address>(.*?)<\/wsa:Address>/.exec(response.body)[1];
+    assert.match(address, /^http:\/\/192\.168\.1\.184:8081\/onvif\/subscription\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+
+    let other = createService().response;
+    assert.notStrictEqual(/<wsa:Address>(.*?)<\/wsa:Address>/.exec(other.body)[1], address);
+});
+
+test('topic filters match whole topic segments', () => {
+    let { service, subscription } = createService({ Filter: { TopicExpression: { $value: 'tns1:RuleEngine/CellMotionDetector' } } });
+    pull(service, subscription, 'PT0S');
+
+    service.publish({ topic: 'tns1:RuleEngine/CellMotionDetector/Motion', source: { Rule: 'MotionDetectorRule' }, data: { IsMotion: true }, time: new Date() });
+    service.publish({ topic: 'tns1:RuleEngine/CellMotionDetectorX/Motion', source: { Rule: 'MotionDetectorRule' }, data: { IsMotion: true }, time: new Date() });
+    service.publish({ topic: 'tns1:VideoSource/MotionAlarm', source: { Source: 'video_src_token' }, data: { State: true }, time: new Date() });
+    let response = pull(service, subscription, 'PT0S');
+    assert.deepStrictEqual(response.getMessages(), ['Initialized IsMotion=true']);
+    assert.match(response.body, /CellMotionDetector\/Motion</);
+});
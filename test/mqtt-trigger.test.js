@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const mqttTrigger = require('../src/mqtt-trigger');
+const triggerEventSource = require('../src/trigger-event-source');
+
+const logger = { trace: () => {}, debug: () => {}, error: () => {} };
+
+const CONFIG = {
+    name: 'Channel1',
+    events: {
+        holdTime: 5,
+        mqtt: { url: 'mqtt://broker', topic: 'cameras/channel1/motion', username: 'user', password: 'pass' }
+    }
+};
+
+class FakeClient extends EventEmitter {
+    constructor(url, options) {
+        super();
+        this.url = url;
+        this.options = options;
+        this.subscriptions = [];
+        this.ended = false;
+    }
+
+    subscribe(topic, callback) {
+        this.subscriptions.push(topic);
+        callback(null);
+    }
+
+    end() {
+        this.ended = true;
+    }
+
+    publish(payload) {
+        this.emit('message', CONFIG.events.mqtt.topic, Buffer.from(payload));
+    }
+}
+
+// Starts an MQTT trigger on a fake client, collecting the motion states of the MotionAlarm events it publishes
+function startTrigger() {
+    let source = triggerEventSource.createTriggerEventSource(CONFIG, logger);
+    let client = null;
+    source.addInput(mqttTrigger.createMqttTrigger(CONFIG, logger, source, (url, options) => client = new FakeClient(url, options)));
+
+    let events = [];
+    source.on('event', event => events.push(event));
+    source.start();
+    client.emit('connect');
+    return {
+        source: source,
+        client: client,
+        events: events,
+        motion: () => events.filter(event => event.topic == 'tns1:VideoSource/MotionAlarm').map(event => event.data.State)
+    };
+}
+
+test('MQTT trigger connects with the configured credentials and subscribes to its topic', () => {
+    let trigger = startTrigger();
+    assert.strictEqual(trigger.client.url, 'mqtt://broker');
+    assert.deepStrictEqual(trigger.client.options, { username: 'user', password: 'pass' });
+    assert.deepStrictEqual(trigger.client.subscriptions, ['cameras/channel1/motion']);
+
+    trigger.source.stop();
+    assert.strictEqual(trigger.client.ended, true);
+});
+
+test('MQTT motion triggers are reset after the hold time', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let trigger = startTrigger();
+
+    trigger.client.publish('motion');
+    assert.deepStrictEqual(trigger.motion(), [true]);
+    assert.deepStrictEqual(trigger.events.find(event => event.topic == 'tns1:RuleEngine/CellMotionDetector/Motion').data, { IsMotion: true });
+
+    // A new trigger within the hold time extends it
+    t.mock.timers.tick(4000);
+    trigger.client.publish('{"type": "motion"}');
+    t.mock.timers.tick(4000);
+    assert.deepStrictEqual(trigger.motion(), [true, true]);
+
+    t.mock.timers.tick(1000);
+    assert.deepStrictEqual(trigger.motion(), [true, true, false]);
+    trigger.source.stop();
+});
+
+test('MQTT triggers with an explicit state are kept until changed', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let trigger = startTrigger();
+
+    trigger.client.publish('ON');
+    t.mock.timers.tick(60000);
+    assert.deepStrictEqual(trigger.motion(), [true]);
+
+    trigger.client.publish('off');
+    assert.deepStrictEqual(trigger.motion(), [true, false]);
+    trigger.source.stop();
+});
+
+test('MQTT object triggers and invalid payloads', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let trigger = startTrigger();
+
+    trigger.client.publish('not json');
+    trigger.client.publish('{"type": "sound"}');
+    trigger.client.publish('{"state": "yes"}');
+    assert.deepStrictEqual(trigger.events, []);
+
+    trigger.client.publish('{"type": "object", "objectType": "Vehicle"}');
+    assert.strictEqual(trigger.events.length, 1);
+    assert.strictEqual(trigger.events[0].topic, 'tns1:RuleEngine/ObjectDetection/Object');
+    assert.deepStrictEqual(trigger.events[0].data, { ClassTypes: 'Vehicle', State: true });
+
+    t.mock.timers.tick(5000);
+    assert.deepStrictEqual(trigger.events[1].data, { ClassTypes: 'Vehicle', State: false });
+    trigger.source.stop();
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const networkBuilder = require('../src/network-builder');
+
+// Cameras in single IP mode have no MAC address and need no interface of their own
+const CONFIG = {
+    onvif: [
+        { name: 'Front  Door', mac: 'A2:A2:A2:A2:A2:01' },
+        { name: 'Shared', ports: { server: 8082 } },
+        { name: 'Garage', mac: 'a2:a2:a2:a2:a2:03' },
+        { name: 'Placeholder', mac: '<ONVIF PROXY MAC ADDRESS HERE>' }
+    ]
+};
+
+test('the systemd unit creates an interface for every camera with a MAC address', () => {
+    let unit = networkBuilder.createSystemdUnit(CONFIG, { parent: 'eth1' });
+
+    assert.deepStrictEqual(unit.interfaces.map(networkInterface => networkInterface.name), ['onvif-proxy-1', 'onvif-proxy-3']);
+    assert.strictEqual(unit.source, `[Unit]
+Description=ONVIF Virtual Network Setup
+After=network-online.target
+Wants=network-online.target
+
+[Service]
+Type=oneshot
+RemainAfterExit=yes
+
+# Configure ARP settings
+ExecStart=/usr/sbin/sysctl -w net.ipv4.conf.all.arp_ignore=1
+ExecStart=/usr/sbin/sysctl -w net.ipv4.conf.all.arp_announce=2
+
+# Create virtual network interfaces with unique MAC addresses
+# Front Door
+ExecStart=/usr/sbin/ip link add onvif-proxy-1 link eth1 address a2:a2:a2:a2:a2:01 type macvlan mode bridge
+# Garage
+ExecStart=/usr/sbin/ip link add onvif-proxy-3 link eth1 address a2:a2:a2:a2:a2:03 type macvlan mode bridge
+ExecStart=/usr/sbin/ip link set onvif-proxy-1 up
+ExecStart=/usr/sbin/ip link set onvif-proxy-3 up
+
+# Cleanup on stop - delete the virtual interfaces
+ExecStop=-/usr/sbin/ip link delete onvif-proxy-1
+ExecStop=-/usr/sbin/ip link delete onvif-proxy-3
+
+[Install]
+WantedBy=multi-user.target
+`);
+});
+
+test('the shell script assigns static IPs by the position of the cameras', () => {
+    let script = networkBuilder.createShellScript(CONFIG, { staticIp: '192.168.1.184/24', namePrefix: 'ov' });
+
+    assert.deepStrictEqual(script.interfaces.map(networkInterface => networkInterface.address), ['192.168.1.184/24', '192.168.1.186/24']);
+    assert.strictEqual(script.source, `#!/bin/sh
+# Sets up the virtual network interfaces of the ONVIF virtual cameras
+
+case "\${1:-up}" in
+  up)
+    set -e
+    /usr/sbin/sysctl -w net.ipv4.conf.all.arp_ignore=1
+    /usr/sbin/sysctl -w net.ipv4.conf.all.arp_announce=2
+    # Front Door
+    /usr/sbin/ip link add ov1 link eth0 address a2:a2:a2:a2:a2:01 type macvlan mode bridge
+    # Garage
+    /usr/sbin/ip link add ov3 link eth0 address a2:a2:a2:a2:a2:03 type macvlan mode bridge
+    /usr/sbin/ip addr add 192.168.1.184/24 dev ov1
+    /usr/sbin/ip addr add 192.168.1.186/24 dev ov3
+    /usr/sbin/ip link set ov1 up
+    /usr/sbin/ip link set ov3 up
+    ;;
+  down)
+    /usr/sbin/ip link delete ov1 || true
+    /usr/sbin/ip link delete ov3 || true
+    ;;
+  *)
+    echo "Usage: $0 [up|down]" >&2
+    exit 1
+    ;;
+esac
+`);
+});
+
+test('interface names and static IPs are checked', () => {
+    assert.strictEqual(networkBuilder.isInterfaceName('eth0.100'), true);
+    assert.strictEqual(networkBuilder.isInterfaceName('a-very-long-interface'), false);
+    assert.strictEqual(networkBuilder.isStaticIp('192.168.1.184/24'), true);
+    assert.strictEqual(networkBuilder.isStaticIp('192.168.1.184'), false);
+    assert.strictEqual(networkBuilder.isStaticIp('192.168.1.300/24'), false);
+    assert.strictEqual(networkBuilder.isStaticIp('192.168.1.184/33'), false);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const networkManager = require('../src/network-manager');
+
+const logger = { info: () => {}, error: () => {} };
+
+const LINKS = '1: lo: <LOOPBACK,UP,LOWER_UP> mtu 65536 qdisc noqueue state UNKNOWN mode DEFAULT group default qlen 1000\\    link/loopback 00:00:00:00:00:00 brd 00:00:00:00:00:00\n' +
+    '2: eth0: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1500 qdisc mq state UP mode DEFAULT group default qlen 1000\\    link/ether 52:54:00:12:34:56 brd ff:ff:ff:ff:ff:ff\n';
+
+// Records the ip commands and answers ip -o link show with the given links
+function createExecutor(links) {
+    let executor = async (args) => {
+        executor.calls.push(args);
+        return args[0] == '-o' ? links : '';
+    };
+    executor.calls = [];
+    return executor;
+}
+
+test('ensureInterface creates and starts a MACVLAN interface on the configured parent', async () => {
+    let executor = createExecutor(LINKS);
+    let manager = networkManager.createNetworkManager(logger, { executor: executor });
+    manager.configure({ managed: true, interface: 'eth1' });
+
+    assert.strictEqual(await manager.ensureInterface('A2:A2:A2:A2:A2:01'), 'ov-a2a2a2a2a201');
+    assert.deepStrictEqual(executor.calls, [
+        ['-o', 'link', 'show'],
+        ['link', 'add', 'ov-a2a2a2a2a201', 'link', 'eth1', 'address', 'a2:a2:a2:a2:a2:01', 'type', 'macvlan', 'mode', 'bridge'],
+        ['link', 'set', 'ov-a2a2a2a2a201', 'up']
+    ]);
+
+    executor.calls = [];
+    await manager.releaseInterface('a2:a2:a2:a2:a2:01');
+    await manager.releaseInterface('a2:a2:a2:a2:a2:01');
+    assert.deepStrictEqual(executor.calls, [['link', 'delete', 'ov-a2a2a2a2a201']]);
+});
+
+test('ensureInterface reuses interfaces set up by hand and never deletes them', async () => {
+    let executor = createExecutor(LINKS + '5: cam1@eth0: <BROADCAST,MULTICAST> mtu 1500 qdisc noop state DOWN mode DEFAULT group default qlen 1000\\    link/ether a2:a2:a2:a2:a2:01 brd ff:ff:ff:ff:ff:ff\n');
+    let manager = networkManager.createNetworkManager(logger, { executor: executor });
+    manager.configure({ managed: true });
+
+    assert.strictEqual(await manager.ensureInterface('a2:a2:a2:a2:a2:01'), 'cam1');
+    await manager.releaseInterface('a2:a2:a2:a2:a2:01');
+    assert.deepStrictEqual(executor.calls, [
+        ['-o', 'link', 'show'],
+        ['link', 'set', 'cam1', 'up']
+    ]);
+});
+
+test('ensureInterface leaves the network alone unless it is managed', async () => {
+    let executor = createExecutor(LINKS);
+    let manager = networkManager.createNetworkManager(logger, { executor: executor });
+    manager.configure(undefined);
+
+    await manager.ensureInterface('a2:a2:a2:a2:a2:01');
+    assert.deepStrictEqual(executor.calls, []);
+});
+
+test('releaseInterface logs failing commands instead of rejecting', async () => {
+    let errors = [];
+    let executor = createExecutor(LINKS);
+    let manager = networkManager.createNetworkManager({ info: () => {}, error: (message) => errors.push(message) }, {
+        executor: async (args) => {
+            if (args[1] == 'delete')
+                throw new Error('ip link delete ov-a2a2a2a2a201 failed: Operation not permitted');
+            return executor(args);
+        }
+    });
+    manager.configure({ managed: true });
+
+    await manager.ensureInterface('a2:a2:a2:a2:a2:01');
+    await manager.releaseInterface('a2:a2:a2:a2:a2:01');
+    assert.deepStrictEqual(errors, ['ip link delete ov-a2a2a2a2a201 failed: Operation not permitted']);
+});
+
+test('getAddress looks up the IPv4 address of an interface by its MAC address', () => {
+    let manager = networkManager.createNetworkManager(logger, {
+        getNetworkInterfaces: () => ({
+            'ov-a2a2a2a2a201': [
+                { family: 'IPv6', address: 'fe80::a0a2:a2ff:fea2:a201', mac: 'a2:a2:a2:a2:a2:01' },
+                { family: 'IPv4', address: '192.168.1.184', mac: 'a2:a2:a2:a2:a2:01' }
+            ]
+        })
+    });
+
+    assert.strictEqual(manager.getAddress('A2:A2:A2:A2:A2:01'), '192.168.1.184');
+    assert.strictEqual(manager.getAddress('a2:a2:a2:a2:a2:02'), null);
+});
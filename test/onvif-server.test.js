@@ -0,0 +1,262 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const onvifServer = require('../src/onvif-server');
+
+const logger = { info: () => {}, error: () => {}, debug: () => {}, trace: () => {} };
+
+// The services are called directly, as the soap module would after parsing a request
+function createServer(settings, useDirectUrls) {
+    return onvifServer.createServer(Object.assign({
+        name: 'Channel 1',
+        uuid: '15b21259-77d9-441f-9913-3ccd8a82e430',
+        hostname: '127.0.0.1',
+        ports: { server: 8081, rtsp: 8554 },
+        highQuality: { rtsp: '/stream1', snapshot: '/snapshot1.jpg', width: 1920, height: 1080, framerate: 25, bitrate: 2048 },
+        lowQuality: { rtsp: '/stream2', width: 640, height: 360, framerate: 15, bitrate: 512 },
+        target: { hostname: '192.168.1.152', ports: { rtsp: 554, snapshot: 80 } }
+    }, settings), logger, useDirectUrls);
+}
+
+// Returns the ONVIF error subcodes of a fault thrown by an operation
+function getSubcodes(operation) {
+    try {
+        operation();
+    } catch (err) {
+        let subcodes = [];
+        for (let subcode = err.Fault.Code.Subcode; subcode; subcode = subcode.Subcode)
+            subcodes.push(subcode.Value.$value);
+        return subcodes;
+    }
+    assert.fail('The operation did not fail');
+}
+
+test('the device information and hardware scope come from the configured identity', () => {
+    let server = createServer({ identity: { manufacturer: 'Acme Cams', model: 'X1', serialNumber: 'SN123' } });
+    let device = server.onvif.DeviceService.Device;
+
+    assert.deepStrictEqual(device.GetDeviceInformation({}), {
+        Manufacturer: 'Acme Cams',
+        Model: 'X1',
+        FirmwareVersion: '1.0.0',
+        SerialNumber: 'SN123',
+        HardwareId: 'Channel_1-1001'
+    });
+    assert.deepStrictEqual(device.GetScopes({}).Scopes, [
+        { ScopeDef: 'Fixed', ScopeItem: 'onvif://www.onvif.org/type/video_encoder' },
+        { ScopeDef: 'Fixed', ScopeItem: 'onvif://www.onvif.org/hardware/Acme%20Cams' },
+        { ScopeDef: 'Configurable', ScopeItem: 'onvif://www.onvif.org/name/X1' },
+        { ScopeDef: 'Configurable', ScopeItem: 'onvif://www.onvif.org/location/' }
+    ]);
+});
+
+test('configurable scopes can be changed and are announced, fixed ones can not', () => {
+    let server = createServer({ scopes: ['onvif://www.onvif.org/name/Garage'] });
+    let device = server.onvif.DeviceService.Device;
+    let hellos = [];
+    server.setDiscoveryServer({ sendHello: (other) => hellos.push(other.getDiscoveryInfo().metadataVersion) });
+
+    device.AddScopes({ ScopeItem: ['onvif://www.onvif.org/location/garage', 'onvif://www.onvif.org/name/Garage'] });
+    assert.deepStrictEqual(server.scopes, ['onvif://www.onvif.org/name/Garage', 'onvif://www.onvif.org/location/garage']);
+
+    assert.deepStrictEqual(device.RemoveScopes({ ScopeItem: 'onvif://www.onvif.org/name/Garage' }), { ScopeItem: ['onvif://www.onvif.org/name/Garage'] });
+    device.SetScopes({ Scopes: ['onvif://www.onvif.org/name/Porch'] });
+    assert.deepStrictEqual(server.scopes, ['onvif://www.onvif.org/name/Porch']);
+    assert.deepStrictEqual(hellos, [2, 3, 4]);
+
+    assert.deepStrictEqual(getSubcodes(() => device.SetScopes({ Scopes: 'onvif://www.onvif.org/type/video_encoder' })), ['ter:OperationProhibited', 'ter:ScopeOverwrite']);
+    assert.deepStrictEqual(getSubcodes(() => device.RemoveScopes({ ScopeItem: 'onvif://www.onvif.org/type/video_encoder' })), ['ter:OperationProhibited', 'ter:FixedScope']);
+    assert.deepStrictEqual(getSubcodes(() => device.RemoveScopes({ ScopeItem: 'onvif://www.onvif.org/name/Garage' })), ['ter:InvalidArgVal', 'ter:NoScope']);
+    assert.deepStrictEqual(server.getDiscoveryInfo().scopes, [
+        'onvif://www.onvif.org/type/video_encoder',
+        'onvif://www.onvif.org/hardware/Onvif',
+        'onvif://www.onvif.org/name/Porch'
+    ]);
+});
+
+test('device management operations describe the virtual device', () => {
+    let device = createServer().onvif.DeviceService.Device;
+
+    assert.deepStrictEqual(device.GetHostname({}), { HostnameInformation: { FromDHCP: false, Name: 'Channel-1' } });
+    assert.deepStrictEqual(device.GetNetworkProtocols({}).NetworkProtocols.filter(protocol => protocol.Enabled), [
+        { Name: 'HTTP', Enabled: true, Port: [8081] },
+        { Name: 'RTSP', Enabled: true, Port: [8554] }
+    ]);
+    assert.strictEqual(device.GetNetworkInterfaces({}).NetworkInterfaces[0].IPv4.Config.Manual.Address, '127.0.0.1');
+    assert.deepStrictEqual(device.GetUsers({}), { User: [] });
+    assert.deepStrictEqual(device.GetDiscoveryMode({}), { DiscoveryMode: 'Discoverable' });
+    assert.deepStrictEqual(device.SystemReboot({}), { Message: 'Rebooting' });
+});
+
+test('device management operations require authentication, except the ones ONVIF allows without', () => {
+    let server = createServer({ username: 'admin', password: 'secret', authentication: 'digest' });
+    let device = server.onvif.DeviceService.Device;
+    let headers = {};
+    let response = { setHeader: (name, value) => headers[name] = value };
+
+    let security = device.GetServiceCapabilities({}, null, {}, { headers: {} }, response).Capabilities.Security.attributes;
+    assert.strictEqual(security.HttpDigest, true);
+    assert.strictEqual(security.UsernameToken, false);
+
+    assert.deepStrictEqual(getSubcodes(() => device.GetUsers({}, null, {}, { headers: {} }, response)), ['ter:NotAuthorized']);
+    assert.match(headers['WWW-Authenticate'], /^Digest realm="ONVIF Channel 1"/);
+});
+
+test('operations the device does not implement fail with ActionNotSupported', () => {
+    let server = createServer();
+
+    assert.deepStrictEqual(getSubcodes(() => server.onvif.DeviceService.Device.SetHostname({ Name: 'other' })), ['ter:ActionNotSupported']);
+    assert.deepStrictEqual(getSubcodes(() => server.onvif.MediaService.Media.CreateProfile({ Name: 'other' })), ['ter:ActionNotSupported']);
+    assert.strictEqual(server.onvif.DeviceService.Device.then, undefined);
+});
+
+test('media configuration queries follow the profiles', () => {
+    let media = createServer().onvif.MediaService.Media;
+
+    assert.deepStrictEqual(media.GetProfiles({}).Profiles.map(profile => profile.attributes.token), ['main_stream', 'sub_stream']);
+    assert.strictEqual(media.GetProfile({ ProfileToken: 'sub_stream' }).Profile.Name, 'SubStream');
+    assert.deepStrictEqual(media.GetVideoSources({}).VideoSources[0].Resolution, { Width: 1920, Height: 1080 });
+    assert.strictEqual(media.GetVideoSourceConfigurations({}).Configurations[0].UseCount, 2);
+    assert.deepStrictEqual(media.GetVideoEncoderConfigurations({}).Configurations.map(configuration => configuration.attributes.token),
+        ['encoder_hq_config_token', 'encoder_lq_config_token']);
+    assert.deepStrictEqual(media.GetVideoEncoderConfiguration({ ConfigurationToken: 'encoder_lq_config_token' }).Configuration.Resolution, { Width: 640, Height: 360 });
+    assert.deepStrictEqual(media.GetCompatibleVideoEncoderConfigurations({ ProfileToken: 'sub_stream' }).Configurations.map(configuration => configuration.Name),
+        ['CardinalLqCameraConfiguration']);
+    assert.strictEqual(media.GetServiceCapabilities({}).Capabilities.ProfileCapabilities.attributes.MaximumNumberOfProfiles, 2);
+
+    assert.deepStrictEqual(getSubcodes(() => media.GetProfile({ ProfileToken: 'other' })), ['ter:InvalidArgVal', 'ter:NoProfile']);
+    assert.deepStrictEqual(getSubcodes(() => media.GetVideoEncoderConfiguration({ ConfigurationToken: 'other' })), ['ter:InvalidArgVal', 'ter:NoConfig']);
+});
+
+test('video encoder options only offer the configured values', () => {
+    let media = createServer().onvif.MediaService.Media;
+
+    let options = media.GetVideoEncoderConfigurationOptions({ ProfileToken: 'sub_stream' }).Options;
+    assert.deepStrictEqual(options.QualityRange, { Min: 1, Max: 1 });
+    assert.deepStrictEqual(options.H264.ResolutionsAvailable, [{ Width: 640, Height: 360 }]);
+    assert.deepStrictEqual(options.H264.FrameRateRange, { Min: 15, Max: 15 });
+    assert.deepStrictEqual(options.H264.H264ProfilesSupported, ['Main']);
+    assert.deepStrictEqual(options.Extension.H264.BitrateRange, { Min: 512, Max: 512 });
+
+    options = media.GetVideoEncoderConfigurationOptions({ ConfigurationToken: 'encoder_hq_config_token' }).Options;
+    assert.deepStrictEqual(options.H264.ResolutionsAvailable, [{ Width: 1920, Height: 1080 }]);
+    assert.deepStrictEqual(media.GetVideoEncoderConfigurationOptions({}).Options, options);
+});
+
+test('Media2 profiles only include the requested configurations', () => {
+    let media2 = createServer().onvif.Media2Service.Media2;
+
+    assert.deepStrictEqual(media2.GetProfiles({}).Profiles, [
+        { attributes: { token: 'main_stream', fixed: true }, Name: 'MainStream' },
+        { attributes: { token: 'sub_stream', fixed: true }, Name: 'SubStream' }
+    ]);
+
+    let profiles = media2.GetProfiles({ Token: 'sub_stream', Type: ['VideoEncoder'] }).Profiles;
+    assert.strictEqual(profiles.length, 1);
+    assert.deepStrictEqual(Object.keys(profiles[0].Configurations), ['VideoEncoder']);
+
+    profiles = media2.GetProfiles({ Type: 'All' }).Profiles;
+    assert.deepStrictEqual(Object.keys(profiles[0].Configurations), ['VideoSource', 'VideoEncoder']);
+    assert.deepStrictEqual(getSubcodes(() => media2.GetProfiles({ Token: 'other' })), ['ter:InvalidArgVal', 'ter:NoProfile']);
+});
+
+test('Media2 encoder configurations use native H.265 names', () => {
+    let server = createServer({ highQuality: { rtsp: '/stream1', width: 2560, height: 1440, framerate: 20, bitrate: 4096, encoding: 'H265' } });
+    let media2 = server.onvif.Media2Service.Media2;
+
+    let configuration = media2.GetVideoEncoderConfigurations({ ProfileToken: 'main_stream' }).Configurations[0];
+    assert.deepStrictEqual(configuration.attributes, { token: 'encoder_hq_config_token', GovLength: 20, Profile: 'Main' });
+    assert.strictEqual(configuration.Encoding, 'H265');
+    assert.deepStrictEqual(configuration.RateControl, { attributes: { ConstantBitRate: false }, FrameRateLimit: 20, BitrateLimit: 4096 });
+    assert.strictEqual(media2.GetVideoEncoderConfigurations({}).Configurations[1].Encoding, 'H264');
+
+    let options = media2.GetVideoEncoderConfigurationOptions({ ConfigurationToken: 'encoder_hq_config_token' }).Options;
+    assert.strictEqual(options.length, 1);
+    assert.strictEqual(options[0].Encoding, 'H265');
+    assert.deepStrictEqual(options[0].attributes, { GovLengthRange: '20 20', FrameRatesSupported: '20', ProfilesSupported: 'Main', ConstantBitRateSupported: false });
+    assert.deepStrictEqual(options[0].ResolutionsAvailable, [{ Width: 2560, Height: 1440 }]);
+
+    assert.deepStrictEqual(media2.GetStreamUri({ ProfileToken: 'main_stream', Protocol: 'RtspUnicast' }), { Uri: 'rtsp://127.0.0.1:8554/stream1' });
+});
+
+test('every configured profile becomes a media profile with its own stream', () => {
+    let settings = {
+        highQuality: undefined,
+        lowQuality: undefined,
+        profiles: [
+            { token: 'main', name: 'Main', rtsp: '/main', snapshot: '/main.jpg', width: 3840, height: 2160, framerate: 15, bitrate: 8192 },
+            { token: 'sub', rtsp: '/sub', width: 1280, height: 720, framerate: 15, bitrate: 1024 },
+            { token: 'mobile', rtsp: '/mobile', snapshot: '/mobile.jpg', width: 320, height: 180, framerate: 5, bitrate: 128, quality: 2 }
+        ]
+    };
+    let media = createServer(settings).onvif.MediaService.Media;
+
+    let profiles = media.GetProfiles({}).Profiles;
+    assert.deepStrictEqual(profiles.map(profile => [profile.attributes.token, profile.Name]), [['main', 'Main'], ['sub', 'sub'], ['mobile', 'mobile']]);
+    assert.deepStrictEqual(profiles.map(profile => [profile.VideoEncoderConfiguration.attributes.token, profile.VideoEncoderConfiguration.Name, profile.VideoEncoderConfiguration.Quality]), [
+        ['encoder_main', 'MainEncoder', 4],
+        ['encoder_sub', 'subEncoder', 1],
+        ['encoder_mobile', 'mobileEncoder', 2]
+    ]);
+    assert.strictEqual(profiles[0].VideoSourceConfiguration.UseCount, 3);
+
+    assert.strictEqual(media.GetStreamUri({ ProfileToken: 'mobile' }).MediaUri.Uri, 'rtsp://127.0.0.1:8554/mobile');
+    assert.strictEqual(media.GetSnapshotUri({ ProfileToken: 'mobile' }).MediaUri.Uri, 'http://127.0.0.1:8081/snapshot/mobile.jpg');
+    // Profiles without a snapshot of their own use the one of the main profile
+    assert.strictEqual(media.GetSnapshotUri({ ProfileToken: 'sub' }).MediaUri.Uri, 'http://127.0.0.1:8081/snapshot/main.jpg');
+
+    media = createServer(settings, true).onvif.MediaService.Media;
+    assert.strictEqual(media.GetStreamUri({ ProfileToken: 'sub' }).MediaUri.Uri, 'rtsp://192.168.1.152:554/sub');
+    assert.strictEqual(media.GetSnapshotUri({ ProfileToken: 'sub' }).MediaUri.Uri, 'http://192.168.1.152:80/main.jpg');
+});
+
+test('streams with audio share one audio source', () => {
+    let server = createServer({
+        highQuality: { rtsp: '/stream1', width: 1920, height: 1080, framerate: 25, bitrate: 2048, audio: { encoding: 'AAC' } },
+        lowQuality: { rtsp: '/stream2', width: 640, height: 360, framerate: 15, bitrate: 512, audio: { encoding: 'G711', bitrate: 64, sampleRate: 8 } }
+    });
+    let media = server.onvif.MediaService.Media;
+
+    assert.deepStrictEqual(media.GetAudioSources({}).AudioSources, [{ attributes: { token: 'audio_src_token' }, Channels: 1 }]);
+    assert.strictEqual(media.GetAudioSourceConfigurations({}).Configurations[0].UseCount, 2);
+    assert.deepStrictEqual(media.GetAudioEncoderConfigurations({}).Configurations.map(configuration => [configuration.Encoding, configuration.Bitrate, configuration.SampleRate]),
+        [['AAC', 64, 16], ['G711', 64, 8]]);
+    // Audio configurations follow the video ones like in the schema
+    assert.deepStrictEqual(Object.keys(media.GetProfile({ ProfileToken: 'main_stream' }).Profile),
+        ['Name', 'attributes', 'VideoSourceConfiguration', 'AudioSourceConfiguration', 'VideoEncoderConfiguration', 'AudioEncoderConfiguration']);
+
+    let configurations = server.onvif.Media2Service.Media2.GetProfiles({ Type: ['AudioEncoder'] }).Profiles.map(profile => profile.Configurations.AudioEncoder.Encoding);
+    assert.deepStrictEqual(configurations, ['MP4A-LATM', 'PCMU']);
+    assert.ok(server.getDiscoveryInfo().scopes.includes('onvif://www.onvif.org/type/audio_encoder'));
+    assert.deepStrictEqual(media.GetAudioOutputs({}).AudioOutputs, []);
+});
+
+test('audio outputs are offered on every profile for the backchannel', () => {
+    let media = createServer({ audioOutput: { encoding: 'G711' } }).onvif.MediaService.Media;
+
+    assert.deepStrictEqual(media.GetAudioOutputs({}).AudioOutputs, [{ attributes: { token: 'audio_out_token' } }]);
+    assert.strictEqual(media.GetAudioOutputConfigurations({}).Configurations[0].OutputToken, 'audio_out_token');
+    assert.strictEqual(media.GetAudioDecoderConfigurations({}).Configurations[0].attributes.token, 'audio_dec_config_token');
+    assert.ok(media.GetProfiles({}).Profiles.every(profile => profile.Extension.AudioOutputConfiguration.UseCount == 2));
+    assert.deepStrictEqual(media.GetAudioDecoderConfigurationOptions({ ProfileToken: 'sub_stream' }).Options, {
+        G711DecOptions: { Bitrate: { Items: [64] }, SampleRateRange: { Items: [8] } }
+    });
+    assert.deepStrictEqual(media.GetAudioSources({}).AudioSources, []);
+
+    media = createServer().onvif.MediaService.Media;
+    assert.deepStrictEqual(getSubcodes(() => media.GetAudioDecoderConfigurationOptions({})), ['ter:ActionNotSupported', 'ter:AudioOutputNotSupported']);
+});
+
+test('servers sharing an address announce it while listening on their bind address', () => {
+    let server = createServer({ hostname: '192.168.1.184', bindAddress: '0.0.0.0', ports: { server: 8082, rtsp: 8555 } });
+
+    assert.strictEqual(server.getBindAddress(), '0.0.0.0');
+    assert.deepStrictEqual(Object.assign({}, server.getDiscoveryInfo(), { scopes: undefined }), {
+        uuid: '15b21259-77d9-441f-9913-3ccd8a82e430',
+        hostname: '192.168.1.184',
+        localAddress: '0.0.0.0',
+        port: 8082,
+        scopes: undefined,
+        metadataVersion: 1
+    });
+    assert.strictEqual(server.onvif.MediaService.Media.GetStreamUri({ ProfileToken: 'sub_stream' }).MediaUri.Uri, 'rtsp://192.168.1.184:8555/stream2');
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const rtspProxy = require('../src/rtsp-proxy');
+const authenticator = require('../src/authenticator');
+const httpDigest = require('../src/http-digest');
+
+const logger = { trace: () => {}, debug: () => {}, error: () => {} };
+
+const PROXY_PORT = 18654;
+
+function getHeader(message, name) {
+    let header = message.headers.find(header => header[0].toLowerCase() == name);
+    return header ? header[1] : undefined;
+}
+
+// Collects everything a parser emits, with frames as strings to compare them easily
+function createParser() {
+    let items = [];
+    let parser = new rtspProxy.RtspParser(
+        (message) => items.push({ startLine: message.startLine, headers: message.headers, body: message.body.toString('utf8') }),
+        (frame) => items.push(frame.toString('hex'))
+    );
+    return { parser: parser, items: items };
+}
+
+// Starts a fake RTSP server that answers each request with the response returned by the handler
+async function startUpstream(t, handler) {
+    let requests = [];
+    let server = net.createServer((socket) => {
+        let parser = new rtspProxy.RtspParser((message) => {
+            requests.push(message);
+            socket.write(handler(message));
+        }, () => {});
+        socket.on('data', (chunk) => parser.push(chunk));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { port: server.address().port, requests: requests };
+}
+
+async function startProxy(t, upstream, options) {
+    let proxy = rtspProxy.createRtspProxy(Object.assign({
+        sourceHostname: '127.0.0.1',
+        sourcePort: PROXY_PORT,
+        targetHostname: '127.0.0.1',
+        targetPort: upstream.port
+    }, options), logger);
+    await proxy.start();
+    t.after(() => proxy.stop());
+    return proxy;
+}
+
+// Connects to the proxy, returning a function that sends a request and resolves with its response
+async function connect(t) {
+    let socket = net.connect(PROXY_PORT, '127.0.0.1');
+    await new Promise(resolve => socket.once('connect', resolve));
+    t.after(() => socket.destroy());
+
+    let waiting = [];
+    let parser = new rtspProxy.RtspParser((message) => waiting.shift()(message), () => {});
+    socket.on('data', (chunk) => parser.push(chunk));
+    return (request) => new Promise(resolve => {
+        waiting.push(resolve);
+        socket.write(request);
+    });
+}
+
+test('the parser handles headers and bodies split over several chunks', () => {
+    let { parser, items } = createParser();
+    let data = Buffer.from('RTSP/1.0 200 OK\r\nCSeq: 2\r\nContent-Length: 10\r\n\r\nv=0\r\ns=-\r\nOPTIONS * RTSP/1.0\r\nCSeq: 3\r\n\r\n');
+
+    for (let offset = 0; offset < data.length; offset += 7)
+        parser.push(data.subarray(offset, offset + 7));
+
+    assert.deepStrictEqual(items, [
+        { startLine: 'RTSP/1.0 200 OK', headers: [['CSeq', '2'], ['Content-Length', '10']], body: 'v=0\r\ns=-\r\n' },
+        { startLine: 'OPTIONS * RTSP/1.0', headers: [['CSeq', '3']], body: '' }
+    ]);
+    assert.strictEqual(parser.buffer, null);
+});
+
+test('the parser separates interleaved frames from messages', () => {
+    let { parser, items } = createParser();
+
+    parser.push(Buffer.from('2400000301', 'hex'));
+    parser.push(Buffer.concat([Buffer.from('0203', 'hex'), Buffer.from('RTSP/1.0 200 OK\r\nCSeq: 4\r\n\r\n'), Buffer.from('2401', 'hex')]));
+    assert.strictEqual(items.length, 2);
+    parser.push(Buffer.from('0001ff', 'hex'));
+
+    assert.deepStrictEqual(items, [
+        '24000003010203',
+        { startLine: 'RTSP/1.0 200 OK', headers: [['CSeq', '4']], body: '' },
+        '24010001ff'
+    ]);
+});
+
+test('the parser rejects headers that never end', () => {
+    let { parser } = createParser();
+    assert.throws(() => parser.push(Buffer.alloc(65 * 1024, 'a')), /RTSP header too large/);
+});
+
+test('the proxy rewrites urls in both directions', async (t) => {
+    let upstream = await startUpstream(t, (message) => {
+        let body = 'v=0\r\na=control:rtsp://192.168.1.152:554/stream1/trackID=1\r\n';
+        return `RTSP/1.0 200 OK\r\nCSeq: ${getHeader(message, 'cseq')}\r\nContent-Base: rtsp://192.168.1.152:554/stream1/\r\n` +
+            `Content-Type: application/sdp\r\nContent-Length: ${body.length}\r\n\r\n${body}`;
+    });
+    await startProxy(t, upstream);
+    let send = await connect(t);
+
+    let response = await send(`DESCRIBE rtsp://127.0.0.1:${PROXY_PORT}/stream1 RTSP/1.0\r\nCSeq: 2\r\nAccept: application/sdp\r\n\r\n`);
+
+    assert.strictEqual(upstream.requests[0].startLine, `DESCRIBE rtsp://127.0.0.1:${upstream.port}/stream1 RTSP/1.0`);
+    assert.strictEqual(response.startLine, 'RTSP/1.0 200 OK');
+    assert.strictEqual(getHeader(response, 'content-base'), `rtsp://127.0.0.1:${PROXY_PORT}/stream1/`);
+    assert.strictEqual(response.body.toString('utf8'), `v=0\r\na=control:rtsp://127.0.0.1:${PROXY_PORT}/stream1/trackID=1\r\n`);
+    assert.strictEqual(getHeader(response, 'content-length'), String(response.body.length));
+});
+
+test('the proxy answers authentication challenges of the target and retries', async (t) => {
+    let challenge = 'Digest realm="IPC", nonce="8b5f0e2a", qop="auth"';
+    let upstream = await startUpstream(t, (message) => {
+        let cseq = getHeader(message, 'cseq');
+        if (!getHeader(message, 'authorization'))
+            return `RTSP/1.0 401 Unauthorized\r\nCSeq: ${cseq}\r\nWWW-Authenticate: ${challenge}\r\n\r\n`;
+        return `RTSP/1.0 200 OK\r\nCSeq: ${cseq}\r\nPublic: DESCRIBE, SETUP, PLAY\r\n\r\n`;
+    });
+    await startProxy(t, upstream, { username: 'admin', password: 'secret' });
+    let send = await connect(t);
+
+    let response = await send(`OPTIONS rtsp://127.0.0.1:${PROXY_PORT}/stream1 RTSP/1.0\r\nCSeq: 1\r\n\r\n`);
+    assert.strictEqual(response.startLine, 'RTSP/1.0 200 OK');
+    assert.strictEqual(getHeader(response, 'cseq'), '1');
+    assert.strictEqual(getHeader(response, 'www-authenticate'), undefined);
+
+    let authorization = httpDigest.parseHeader(getHeader(upstream.requests[1], 'authorization')).params;
+    assert.strictEqual(upstream.requests.length, 2);
+    assert.strictEqual(authorization.username, 'admin');
+    assert.strictEqual(authorization.nc, '00000001');
+    assert.strictEqual(authorization.response, httpDigest.computeResponse({
+        username: 'admin', realm: 'IPC', password: 'secret', method: 'OPTIONS', uri: `rtsp://127.0.0.1:${upstream.port}/stream1`,
+        nonce: '8b5f0e2a', nc: authorization.nc, cnonce: authorization.cnonce, qop: 'auth'
+    }));
+
+    // Later requests are authenticated right away
+    await send(`DESCRIBE rtsp://127.0.0.1:${PROXY_PORT}/stream1 RTSP/1.0\r\nCSeq: 2\r\n\r\n`);
+    assert.strictEqual(upstream.requests.length, 3);
+    assert.strictEqual(httpDigest.parseHeader(getHeader(upstream.requests[2], 'authorization')).params.nc, '00000002');
+});
+
+test('the proxy only accepts a client response without qop once', async (t) => {
+    let upstream = await startUpstream(t, (message) => `RTSP/1.0 200 OK\r\nCSeq: ${getHeader(message, 'cseq')}\r\n\r\n`);
+    let auth = authenticator.createAuthenticator({ name: 'Channel1', username: 'admin', password: 'secret' }, logger);
+    await startProxy(t, upstream, { authenticator: auth });
+    let send = await connect(t);
+    let uri = `rtsp://127.0.0.1:${PROXY_PORT}/stream1`;
+
+    let response = await send(`DESCRIBE ${uri} RTSP/1.0\r\nCSeq: 1\r\n\r\n`);
+    assert.strictEqual(response.startLine, 'RTSP/1.0 401 Unauthorized');
+    let challenge = httpDigest.parseHeader(getHeader(response, 'www-authenticate').replace('qop="auth", ', ''));
+    let authorization = httpDigest.createAuthorization(challenge, { username: 'admin', password: 'secret', method: 'DESCRIBE', uri: uri });
+
+    response = await send(`DESCRIBE ${uri} RTSP/1.0\r\nCSeq: 2\r\nAuthorization: ${authorization}\r\n\r\n`);
+    assert.strictEqual(response.startLine, 'RTSP/1.0 200 OK');
+    assert.strictEqual(getHeader(upstream.requests[0], 'authorization'), undefined);
+
+    response = await send(`DESCRIBE ${uri} RTSP/1.0\r\nCSeq: 3\r\nAuthorization: ${authorization}\r\n\r\n`);
+    assert.strictEqual(response.startLine, 'RTSP/1.0 401 Unauthorized');
+    assert.match(getHeader(response, 'www-authenticate'), /stale=true/);
+    assert.strictEqual(upstream.requests.length, 1);
+});
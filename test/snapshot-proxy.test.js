@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const snapshotProxy = require('../src/snapshot-proxy');
+const httpDigest = require('../src/http-digest');
+
+const logger = { debug: () => {} };
+
+const CHALLENGE = 'Digest realm="IPC", nonce="5c1f3a", qop="auth"';
+
+// Starts a fake camera that serves a JPEG snapshot behind HTTP Digest, counting its requests
+async function startCamera(t, handler) {
+    let camera = { requests: [], port: 0 };
+    let server = http.createServer((request, response) => {
+        camera.requests.push(request.headers.authorization || null);
+        handler(request, response);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    camera.port = server.address().port;
+    return camera;
+}
+
+function serveSnapshot(request, response) {
+    let authorization = httpDigest.parseHeader(request.headers.authorization);
+    if (!authorization) {
+        response.writeHead(401, { 'WWW-Authenticate': CHALLENGE });
+        return response.end();
+    }
+    let params = authorization.params;
+    let expected = httpDigest.computeResponse({
+        username: 'admin', realm: 'IPC', password: 'secret', method: 'GET', uri: request.url,
+        nonce: params.nonce, nc: params.nc, cnonce: params.cnonce, qop: params.qop
+    });
+    response.writeHead(params.response == expected ? 200 : 403, { 'Content-Type': 'image/jpeg' });
+    response.end('jpeg');
+}
+
+function createConfig(port, settings) {
+    return Object.assign({
+        name: 'Channel1',
+        target: { hostname: '127.0.0.1', ports: { snapshot: port }, username: 'admin', password: 'secret' }
+    }, settings);
+}
+
+test('snapshots are fetched with HTTP Digest and cached', async (t) => {
+    let camera = await startCamera(t, serveSnapshot);
+    let proxy = snapshotProxy.createSnapshotProxy(createConfig(camera.port), logger);
+
+    // Concurrent requests share one fetch
+    let snapshots = await Promise.all([proxy.getSnapshot('/snapshot.jpg'), proxy.getSnapshot('/snapshot.jpg')]);
+    assert.deepStrictEqual(snapshots[0], { contentType: 'image/jpeg', data: Buffer.from('jpeg') });
+    assert.strictEqual(snapshots[1], snapshots[0]);
+    assert.strictEqual(camera.requests.length, 2);
+    assert.strictEqual(camera.requests[0], null);
+    assert.match(camera.requests[1], /^Digest username="admin"/);
+
+    assert.strictEqual(await proxy.getSnapshot('/snapshot.jpg'), snapshots[0]);
+    assert.strictEqual(camera.requests.length, 2);
+
+    await proxy.getSnapshot('/other.jpg');
+    assert.strictEqual(camera.requests.length, 4);
+});
+
+test('snapshots are fetched again once the cache expires', async (t) => {
+    let camera = await startCamera(t, serveSnapshot);
+    let proxy = snapshotProxy.createSnapshotProxy(createConfig(camera.port, { snapshotCacheTtl: 0 }), logger);
+
+    await proxy.getSnapshot('/snapshot.jpg');
+    await proxy.getSnapshot('/snapshot.jpg');
+    assert.strictEqual(camera.requests.length, 4);
+});
+
+test('the placeholder is served while the camera fails, without caching the failure', async (t) => {
+    let fail = true;
+    let camera = await startCamera(t, (request, response) => {
+        if (!fail)
+            return serveSnapshot(request, response);
+        response.writeHead(500);
+        response.end();
+    });
+    let proxy = snapshotProxy.createSnapshotProxy(createConfig(camera.port), logger);
+
+    let snapshot = await proxy.getSnapshot('/snapshot.jpg');
+    assert.strictEqual(snapshot.contentType, 'image/png');
+    assert.ok(snapshot.data.length > 0);
+
+    fail = false;
+    snapshot = await proxy.getSnapshot('/snapshot.jpg');
+    assert.deepStrictEqual(snapshot, { contentType: 'image/jpeg', data: Buffer.from('jpeg') });
+});
+
+test('cameras without a snapshot path get the placeholder', async () => {
+    let proxy = snapshotProxy.createSnapshotProxy(createConfig(1), logger);
+    assert.strictEqual((await proxy.getSnapshot(undefined)).contentType, 'image/png');
+});
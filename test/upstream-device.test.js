@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const upstreamDevice = require('../src/upstream-device');
+
+const logger = { info: () => {}, debug: () => {} };
+
+function createConfig(target) {
+    return { name: 'Channel1', target: Object.assign({ hostname: '127.0.0.1' }, target) };
+}
+
+test('the device service of the target is on its onvif port or 80', () => {
+    let device = upstreamDevice.createUpstreamDevice(createConfig({ ports: { rtsp: 554, snapshot: 8080 } }), logger);
+    assert.strictEqual(device.getDeviceServiceUrl(), 'http://127.0.0.1:80/onvif/device_service');
+
+    device = upstreamDevice.createUpstreamDevice(createConfig({ ports: { snapshot: 8080, onvif: 8000 } }), logger);
+    assert.strictEqual(device.getDeviceServiceUrl(), 'http://127.0.0.1:8000/onvif/device_service');
+});
+
+test('requests are signed at the time of the device clock', async (t) => {
+    let requests = [];
+    let server = http.createServer((request, response) => {
+        let chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            requests.push(Buffer.concat(chunks).toString('utf8'));
+            response.writeHead(200, { 'Content-Type': 'application/soap+xml' });
+            response.end('<soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope"><soap:Body><RenewResponse/></soap:Body></soap:Envelope>');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    let device = upstreamDevice.createUpstreamDevice(createConfig({ username: 'admin', password: 'secret', ports: {} }), logger);
+    // The device's clock is an hour ahead of ours
+    device.clockOffset = Promise.resolve(60 * 60 * 1000);
+    let envelope = await device.request(`http://127.0.0.1:${server.address().port}/onvif/subscription`, 'http://docs.oasis-open.org/wsn/bw-2/SubscriptionManager/RenewRequest', '<wsnt:Renew/>');
+
+    assert.strictEqual(envelope.operation, 'RenewResponse');
+    assert.match(requests[0], /<wsse:Username>admin<\/wsse:Username>/);
+    let created = Date.parse(/<wsu:Created>(.*?)<\/wsu:Created>/.exec(requests[0])[1]);
+    assert.ok(Math.abs(created - (Date.now() + 60 * 60 * 1000)) < 5000, `Created ${new Date(created).toISOString()} isn't an hour ahead`);
+});